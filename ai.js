@@ -0,0 +1,160 @@
+/**
+ * AI autoplayer
+ * Strategies pick a move ({ index, rotation, shape, col, row }) for the current tray;
+ * playAiMove() turns the piece and drops it through the engine like a player would.
+ * Shared by the "Watch AI" button and the Node benchmark (bench.js).
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+    const { GameEngine } = typeof module !== 'undefined' ? require('./engine.js') : window;
+
+    const BEAM_WIDTH = 8; // Boards kept per search depth by the lookahead
+    const DEAD_END = -100000; // A tray that cannot be fully placed is about as bad as it gets
+    const SEARCH_BUDGET = 2000; // Simulated drops the lookahead may spend on one move
+
+    function evaluateGrid(grid) {
+        // Emptier, less fragmented boards leave room for whatever comes next
+        const size = grid.length;
+        const isOpen = (r, c) => r >= 0 && r < size && c >= 0 && c < size && grid[r][c] === null;
+        let filled = 0;
+        let holes = 0;
+        let edges = 0;
+
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const open = grid[r][c] === null;
+                if (!open) {
+                    filled++;
+                } else if (!isOpen(r - 1, c) && !isOpen(r + 1, c) && !isOpen(r, c - 1) && !isOpen(r, c + 1)) {
+                    holes++;
+                }
+                // Count borders between filled and empty cells (a ragged board scores worse)
+                if (c + 1 < size && open !== (grid[r][c + 1] === null)) edges++;
+                if (r + 1 < size && open !== (grid[r + 1][c] === null)) edges++;
+            }
+        }
+        return -filled * 2 - holes * 10 - edges;
+    }
+
+    function placementsOnGrid(engine, grid, piece) {
+        const placements = [];
+        // Only the turns the tray's rotation budget still allows
+        engine.reachableOrientations(piece.shape).forEach(({ rotation, shape }) => {
+            const rotated = { ...piece, shape };
+            for (let r = 0; r <= grid.length - shape.length; r++) {
+                for (let c = 0; c <= grid.length - shape[0].length; c++) {
+                    if (engine.isValidPlacement(c, r, rotated, grid)) placements.push({ rotation, shape, col: c, row: r });
+                }
+            }
+        });
+        return placements;
+    }
+
+    function scoreDrop(engine, shape, result, combo, dryDrops) {
+        // Points and streak after a drop, following the engine's combo rules
+        const blocks = GameEngine.countBlocks(shape);
+        let points = blocks * CONFIG.POINTS_PER_BLOCK;
+        if (result.lineCount > 0) {
+            combo++;
+            dryDrops = 0;
+            const boardCleared = result.grid.every(line => line.every(cell => cell === null));
+            points += GameEngine.scoreClear(result.lineCount, combo, boardCleared, engine.pxPerLine, result.multiplier).points;
+        } else if (++dryDrops >= CONFIG.COMBO_GRACE_DROPS) {
+            combo = 0;
+        }
+        return { points, combo, dryDrops };
+    }
+
+    function greedy(engine) {
+        // One piece at a time: the same move the hint button suggests
+        return engine.findBestPlacement();
+    }
+
+    function lookahead(engine, { budget = SEARCH_BUDGET } = {}) {
+        // Beam search over every order of the remaining tray pieces: each depth expands
+        // all pieces not yet used, keeps the most promising boards, and the best complete
+        // line-up decides which move to make first. All depths share one budget of
+        // simulated drops, so a move never costs more than the budget, however deep it goes.
+        let remaining = budget;
+        let frontier = [{
+            grid: engine.grid,
+            left: engine.activePieces.map((_, i) => i).filter(i => engine.activePieces[i] !== null),
+            combo: engine.combo,
+            dryDrops: engine.dryDrops,
+            points: 0,
+            first: null
+        }];
+        let best = null;
+
+        while (frontier.length > 0) {
+            const children = [];
+            frontier.forEach(node => {
+                let expanded = false;
+                let cut = false; // The budget ran out before all of this node's drops were tried
+                node.left.forEach(index => {
+                    const piece = engine.activePieces[index];
+                    placementsOnGrid(engine, node.grid, piece).forEach(placement => {
+                        if (remaining <= 0) {
+                            cut = true;
+                            return;
+                        }
+                        remaining--;
+                        expanded = true;
+                        const result = engine.simulatePlacement(placement.col, placement.row,
+                            { ...piece, shape: placement.shape }, node.grid);
+                        const drop = scoreDrop(engine, placement.shape, result, node.combo, node.dryDrops);
+                        const child = {
+                            grid: result.grid,
+                            left: node.left.filter(i => i !== index),
+                            combo: drop.combo,
+                            dryDrops: drop.dryDrops,
+                            points: node.points + drop.points,
+                            first: node.first || { index, ...placement }
+                        };
+                        child.value = child.points + evaluateGrid(child.grid);
+                        children.push(child);
+                    });
+                });
+
+                // Finished line-ups and dead ends are final; dead ends only win if nothing else works.
+                // A line-up the budget cut short counts as it stands.
+                if (node.first && (node.left.length === 0 || !expanded)) {
+                    const deadEnd = node.left.length > 0 && !cut;
+                    const value = node.points + evaluateGrid(node.grid) + (deadEnd ? DEAD_END : 0);
+                    if (!best || value > best.value) best = { ...node.first, value };
+                }
+            });
+
+            children.sort((a, b) => b.value - a.value);
+            frontier = children.slice(0, BEAM_WIDTH);
+        }
+        return best;
+    }
+
+    const AI_STRATEGIES = {
+        greedy: { name: 'Greedy', chooseMove: greedy },
+        lookahead: { name: 'Lookahead', chooseMove: lookahead }
+    };
+
+    function playAiMove(engine, strategy = 'lookahead', options = {}) {
+        // Returns the move played, or null when there is nothing left to do.
+        // options go to the strategy, e.g. { budget } for the lookahead.
+        if (engine.isGameOver) return null;
+
+        const move = AI_STRATEGIES[strategy].chooseMove(engine, options);
+        if (!move) return null;
+
+        // rotation is in clockwise quarter turns; three of them is one turn the other way
+        if (move.rotation === 3) {
+            engine.rotatePiece(move.index, false);
+        } else {
+            for (let i = 0; i < move.rotation; i++) engine.rotatePiece(move.index, true);
+        }
+        return engine.placePiece(move.index, move.col, move.row) ? move : null;
+    }
+
+    exports.SEARCH_BUDGET = SEARCH_BUDGET;
+    exports.AI_STRATEGIES = AI_STRATEGIES;
+    exports.playAiMove = playAiMove;
+})(typeof module !== 'undefined' ? module.exports : window);
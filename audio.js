@@ -0,0 +1,130 @@
+/**
+ * Sound effects and haptics
+ * Every sound is synthesized with the Web Audio API (no asset files). Browsers only let
+ * an AudioContext start during a tap or key press, so it is created (or resumed) on the
+ * player's input, never by a sound itself: the Watch AI timer plays sounds too.
+ * Vibration uses navigator.vibrate where available, whatever the volume.
+ */
+
+(function (exports) {
+    // Semitone steps above the base pitch for successive clears in a streak
+    const SCALE = [0, 2, 4, 7, 9, 12, 14, 16, 19, 21, 24];
+
+    const VIBRATIONS = {
+        place: 10,
+        invalid: [30, 40, 30],
+        levelUp: [20, 30, 20, 30, 60],
+        gameOver: [120, 60, 200],
+        // One buzz per cleared line, up to four
+        clear: ({ lineCount = 1 }) => Array(Math.min(lineCount, 4)).fill(25).flatMap(ms => [ms, 30])
+    };
+
+    class SoundEffects {
+        constructor({ volume = 0.6, muted = false, haptics = true } = {}) {
+            this.context = null;
+            this.master = null;
+            this.configure({ volume, muted, haptics });
+
+            if (typeof window !== 'undefined') {
+                // Capture phase, so input that a handler stops still counts
+                ['pointerdown', 'keydown'].forEach(type => window.addEventListener(type, () => this.unlock(), true));
+            }
+        }
+
+        configure({ volume, muted, haptics }) {
+            this.volume = volume;
+            this.muted = muted;
+            this.haptics = haptics;
+            if (this.master) this.master.gain.value = this.muted ? 0 : this.volume;
+        }
+
+        unlock() {
+            // Called on user input: the one time a context may be created or resumed
+            const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContextClass) return;
+
+            if (!this.context) {
+                this.context = new AudioContextClass();
+                this.master = this.context.createGain();
+                this.master.gain.value = this.muted ? 0 : this.volume;
+                this.master.connect(this.context.destination);
+            }
+            if (this.context.state === 'suspended') this.context.resume();
+        }
+
+        tone({ freq, endFreq = freq, duration = 0.1, type = 'sine', gain = 0.3, delay = 0 }) {
+            // One oscillator with a quick attack and an exponential fade, optionally sliding in pitch
+            const ctx = this.context;
+            const start = ctx.currentTime + delay;
+            const osc = ctx.createOscillator();
+            const env = ctx.createGain();
+
+            osc.type = type;
+            osc.frequency.setValueAtTime(freq, start);
+            if (endFreq !== freq) osc.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+
+            env.gain.setValueAtTime(0.0001, start);
+            env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+            env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+            osc.connect(env);
+            env.connect(this.master);
+            osc.start(start);
+            osc.stop(start + duration + 0.02);
+        }
+
+        play(name, detail = {}) {
+            const vibration = typeof VIBRATIONS[name] === 'function' ? VIBRATIONS[name](detail) : VIBRATIONS[name];
+            if (this.haptics && vibration !== undefined) this.vibrate(vibration);
+            // No context yet means no input yet, e.g. the AI playing straight after a reload
+            if (this.muted || this.volume <= 0 || !this.context) return;
+
+            switch (name) {
+                case 'pickUp':
+                    this.tone({ freq: 440, endFreq: 660, duration: 0.06, type: 'triangle', gain: 0.2 });
+                    break;
+                case 'place':
+                    this.tone({ freq: 180, endFreq: 90, duration: 0.08, type: 'square', gain: 0.15 });
+                    break;
+                case 'invalid':
+                    this.tone({ freq: 160, duration: 0.12, type: 'sawtooth', gain: 0.12 });
+                    this.tone({ freq: 120, duration: 0.15, type: 'sawtooth', gain: 0.12, delay: 0.1 });
+                    break;
+                case 'clear':
+                    this.playClear(detail);
+                    break;
+                case 'levelUp':
+                    [0, 4, 7, 12].forEach((step, i) => {
+                        this.tone({ freq: 523.25 * Math.pow(2, step / 12), duration: 0.15, type: 'triangle', gain: 0.25, delay: i * 0.09 });
+                    });
+                    break;
+                case 'win':
+                    [0, 4, 7, 12, 16].forEach((step, i) => {
+                        this.tone({ freq: 523.25 * Math.pow(2, step / 12), duration: 0.25, type: 'triangle', gain: 0.25, delay: i * 0.1 });
+                    });
+                    break;
+                case 'gameOver':
+                    [0, -3, -7, -12].forEach((step, i) => {
+                        this.tone({ freq: 392 * Math.pow(2, step / 12), duration: 0.3, type: 'triangle', gain: 0.25, delay: i * 0.18 });
+                    });
+                    break;
+            }
+        }
+
+        playClear({ lineCount = 1, combo = 1 }) {
+            // Higher streaks start higher up the scale; every extra line adds another rising note
+            const base = 523.25 * Math.pow(2, SCALE[Math.min(SCALE.length - 1, Math.max(0, combo - 1))] / 12);
+            for (let i = 0; i < Math.min(lineCount, 6); i++) {
+                this.tone({ freq: base * Math.pow(2, (i * 4) / 12), duration: 0.18, type: 'sine', gain: 0.3, delay: i * 0.07 });
+            }
+        }
+
+        vibrate(pattern) {
+            if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+                navigator.vibrate(pattern);
+            }
+        }
+    }
+
+    exports.SoundEffects = SoundEffects;
+})(typeof module !== 'undefined' ? module.exports : window);
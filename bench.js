@@ -0,0 +1,101 @@
+/**
+ * AI benchmark (Node only)
+ * Plays N seeded games per strategy and reports score and survival, so piece
+ * generation can be tuned with numbers rather than feel.
+ *
+ *   node bench.js [--games 20] [--strategies greedy,lookahead] [--bag] [--size 8] [--pieces classic]
+ *                 [--difficulty normal] [--max-pieces 1000] [--budget 2000]
+ *
+ * Games still going after --max-pieces are stopped and counted as survivors. --budget caps the
+ * drops the lookahead simulates per move (SEARCH_BUDGET in ai.js by default).
+ */
+
+const { GameEngine } = require('./engine.js');
+const { getPieceSet } = require('./piece-sets.js');
+const { getDifficulty } = require('./difficulty.js');
+const { AI_STRATEGIES, SEARCH_BUDGET, playAiMove } = require('./ai.js');
+
+function parseArgs(argv) {
+    const args = {
+        games: 20,
+        strategies: Object.keys(AI_STRATEGIES),
+        bag: false,
+        size: undefined,
+        pieces: 'classic',
+        difficulty: 'normal',
+        maxPieces: 1000,
+        budget: SEARCH_BUDGET
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--games') args.games = parseInt(argv[++i]);
+        else if (flag === '--strategies') args.strategies = argv[++i].split(',');
+        else if (flag === '--bag') args.bag = true;
+        else if (flag === '--size') args.size = parseInt(argv[++i]);
+        else if (flag === '--pieces') args.pieces = argv[++i];
+        else if (flag === '--difficulty') args.difficulty = argv[++i];
+        else if (flag === '--max-pieces') args.maxPieces = parseInt(argv[++i]);
+        else if (flag === '--budget') args.budget = parseInt(argv[++i]);
+        else throw new Error(`Unknown option ${flag}`);
+    }
+    args.strategies.forEach(id => {
+        if (!AI_STRATEGIES[id]) throw new Error(`Unknown strategy "${id}" (have: ${Object.keys(AI_STRATEGIES).join(', ')})`);
+    });
+    return args;
+}
+
+function playGame(strategy, seed, args) {
+    const engine = new GameEngine({
+        bag: args.bag,
+        gridSize: args.size,
+        pieceSet: getPieceSet(args.pieces),
+        difficulty: getDifficulty(args.difficulty),
+        undoLimit: 0 // No undo snapshots: they only cost memory over a long game
+    });
+    engine.newGame(seed);
+    while (engine.stats.piecesPlaced < args.maxPieces && playAiMove(engine, strategy, { budget: args.budget })) {
+        // playAiMove returns null once the game is over
+    }
+    return { score: engine.score, pieces: engine.stats.piecesPlaced, survived: !engine.isGameOver };
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    console.log(`${args.games} games per strategy, ${args.pieces} pieces, ${args.difficulty}` +
+        `${args.bag ? ', bag randomizer' : ''}, search budget ${args.budget}`);
+    console.log('strategy     mean score  median score  mean pieces  median pieces  survived  time/game');
+
+    args.strategies.forEach(strategy => {
+        const started = Date.now();
+        const results = [];
+        for (let i = 0; i < args.games; i++) {
+            // Same seeds for every strategy, so they face the same pieces
+            results.push(playGame(strategy, `bench-${i}`, args));
+        }
+        const scores = results.map(r => r.score);
+        const pieces = results.map(r => r.pieces);
+        const perGame = (Date.now() - started) / args.games;
+
+        console.log([
+            strategy.padEnd(12),
+            mean(scores).toFixed(0).padStart(10),
+            median(scores).toFixed(0).padStart(13),
+            mean(pieces).toFixed(1).padStart(12),
+            median(pieces).toFixed(1).padStart(14),
+            `${results.filter(r => r.survived).length}/${args.games}`.padStart(9),
+            `${perGame.toFixed(0)}ms`.padStart(10)
+        ].join(' '));
+    });
+}
+
+main();
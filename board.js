@@ -0,0 +1,631 @@
+/**
+ * Board
+ * One player's board on screen: the grid (drawn by a renderer, see renderers.js), the tray,
+ * the hold slot, and the drag and keyboard input that plays them. Elements are looked up
+ * inside the board's own root (stamped from #board-template), never by ID, so a versus
+ * match can put two boards on the page. Settings, sound, the controls and the modals stay
+ * with the Game.
+ */
+
+class Board {
+    constructor(game, root, engine, player = null) {
+        this.game = game;
+        this.root = root;
+        this.engine = engine;
+
+        this.gridEl = root.querySelector('.grid-board');
+        this.dragContainerEl = root.querySelector('.drag-container');
+        this.holdSlotEl = root.querySelector('.hold-slot');
+        this.previewPointsEl = root.querySelector('.preview-points');
+        this.barEl = root.querySelector('.board-bar');
+        this.scoreEl = root.querySelector('.board-score');
+        this.rendererType = game.settings.renderer;
+        this.renderer = createRenderer(this.rendererType, this.gridEl, this.engine);
+
+        this.setPlayer(player);
+
+        // Hold slot: drop a tray piece on it to park or swap, tap it to take the piece back out
+        this.holdSlotEl.addEventListener('click', () => this.useHoldSlot());
+
+        // Keyboard placement: selected tray piece and the grid cell its top-left sits on
+        this.cursor = { pieceIndex: null, row: 0, col: 0 };
+        // Pointer drag in progress, see startDrag()
+        this.drag = null;
+        this.hint = null;
+        // Window listeners, removed again by destroy()
+        this.listeners = [];
+
+        this.bindEngineEvents();
+        this.setupInputHandlers();
+    }
+
+    bindEngineEvents() {
+        this.engine.on('trayChanged', () => this.renderTray());
+        this.engine.on('piecePlaced', (e) => this.renderPlacement(e));
+        this.engine.on('linesCleared', (e) => this.renderClear(e));
+        this.engine.on('linesCleared', ({ lineCount, combo, points }) => {
+            const streak = combo > 1 ? `, combo ${combo}` : '';
+            this.announce(`Cleared ${lineCount} ${lineCount === 1 ? 'line' : 'lines'}${streak}, plus ${points} points`);
+        });
+        this.engine.on('garbageAdded', ({ cells }) => {
+            this.renderer.update(cells);
+            this.updateCursorPreview();
+            this.announce(`${cells.length} garbage blocks landed`);
+        });
+        this.engine.on('holdChanged', ({ piece }) => this.renderHold(piece));
+        this.engine.on('scoreChanged', ({ score }) => { this.scoreEl.innerText = score; });
+        this.engine.on('piecePlaced', () => this.clearHint());
+        this.engine.on('piecePlaced', () => this.game.sound.play('place'));
+        this.engine.on('linesCleared', ({ lineCount, combo }) => this.game.sound.play('clear', { lineCount, combo }));
+    }
+
+    setPlayer(player) {
+        // Name shown and announced in split-screen versus, null when playing alone.
+        // Named boards get a bar with the player's name and score.
+        this.player = player;
+        this.barEl.classList.toggle('hidden', player === null);
+        this.root.querySelector('.board-player').innerText = player || '';
+        this.scoreEl.innerText = this.engine.score;
+        this.gridEl.setAttribute('aria-label', player ? `${player}'s board` : 'Game board');
+    }
+
+    announce(text) {
+        this.game.announce(this.player ? `${this.player}: ${text}` : text);
+    }
+
+    listen(target, type, fn) {
+        target.addEventListener(type, fn);
+        this.listeners.push([target, type, fn]);
+    }
+
+    destroy() {
+        // Only for boards added for a match; the engine goes with it
+        this.cancelDrag();
+        this.listeners.forEach(([target, type, fn]) => target.removeEventListener(type, fn));
+        this.renderer.destroy();
+        this.root.remove();
+    }
+
+    renderGrid() {
+        this.renderer.build();
+        this.updateCursorPreview();
+        this.clearHint();
+    }
+
+    setRenderer(type) {
+        // Swapping renderers mid-game just redraws the same board the new way
+        if (type === this.rendererType) return;
+        this.renderer.destroy();
+        this.rendererType = type;
+        this.renderer = createRenderer(this.rendererType, this.gridEl, this.engine);
+        this.renderGrid();
+    }
+
+    setupInputHandlers() {
+        // Pointer Events cover mouse, touch and pen alike. Only one pointer drags per board:
+        // a second finger on the same tray is ignored (one on the other player's tray drags
+        // there), and a cancelled pointer (or the window losing focus) puts the piece back
+        // without counting as a failed drop.
+        this.dragContainerEl.addEventListener('pointerdown', (e) => this.startDrag(e));
+        // Right-click turns a tray piece, like a tap does
+        this.dragContainerEl.addEventListener('contextmenu', (e) => {
+            const container = e.target.closest('.piece-container');
+            if (!container) return;
+            e.preventDefault();
+            if (container.dataset.used !== 'true') this.rotatePiece(parseInt(container.dataset.index), true);
+        });
+        this.listen(window, 'pointermove', (e) => {
+            if (this.drag && e.pointerId === this.drag.pointerId) this.moveDrag(e);
+        });
+        this.listen(window, 'pointerup', (e) => {
+            if (this.drag && e.pointerId === this.drag.pointerId) this.endDrag();
+        });
+        this.listen(window, 'pointercancel', (e) => {
+            if (this.drag && e.pointerId === this.drag.pointerId) this.cancelDrag();
+        });
+        this.listen(window, 'blur', () => this.cancelDrag());
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) this.cancelDrag();
+        });
+
+        // Tabbing onto a tray piece selects it for keyboard placement
+        this.dragContainerEl.addEventListener('focusin', (e) => {
+            const container = e.target.closest('.piece-container');
+            if (container && container.dataset.used !== 'true') {
+                this.selectPiece(parseInt(container.dataset.index));
+            }
+        });
+    }
+
+    startDrag(e) {
+        if (this.drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        const pieceContainer = e.target.closest('.piece-container');
+        if (!pieceContainer || pieceContainer.dataset.used === 'true') return;
+
+        // Grabbing a piece takes the game back from the AI
+        this.game.stopAutoplay();
+        this.game.sound.play('pickUp');
+
+        e.preventDefault();
+        // Keep receiving this pointer's events even when it leaves the tray
+        if (pieceContainer.setPointerCapture) pieceContainer.setPointerCapture(e.pointerId);
+
+        const index = parseInt(pieceContainer.dataset.index);
+        const piece = this.engine.activePieces[index];
+
+        // The dragged copy starts exactly over the tray piece
+        const sourceVisual = pieceContainer.querySelector('.piece-visual');
+        const rect = sourceVisual.getBoundingClientRect();
+
+        // The block under the pointer (or the nearest one) is the one that lands
+        // on the cell under the pointer, so note which block was grabbed
+        const pitch = CONFIG.TRAY_BLOCK_SIZE + CONFIG.TRAY_BLOCK_GAP;
+        const clamp = (v, max) => Math.min(max, Math.max(0, v));
+        const grab = {
+            row: clamp(Math.floor((e.clientY - rect.top) / pitch), piece.shape.length - 1),
+            col: clamp(Math.floor((e.clientX - rect.left) / pitch), piece.shape[0].length - 1)
+        };
+
+        // Real game scales up 1:1 with grid, so match the block pitch (size + gap)
+        // of the tray piece to the cell pitch of the board, whatever its size
+        const scale = (this.renderer.cellRect(0, 0).width + CONFIG.GRID_GAP) / pitch;
+        const origin = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+
+        this.drag = {
+            pointerId: e.pointerId,
+            // Lift the piece above the finger so it stays visible; a mouse pointer hides nothing
+            lift: e.pointerType === 'mouse' ? 0 : this.game.settings.fingerOffset,
+            index,
+            grab,
+            origin,
+            scale,
+            rect,
+            startX: e.clientX,
+            startY: e.clientY,
+            x: e.clientX, // Pointer now
+            y: e.clientY,
+            moved: false, // Past CONFIG.TAP_SLOP, so not a tap
+            holdRect: this.holdSlotEl.getBoundingClientRect(),
+            left: rect.left, // Where the unscaled piece sits now
+            top: rect.top
+        };
+        this.renderer.startDrag({ piece, source: sourceVisual, rect, origin, scale });
+    }
+
+    moveDrag(e) {
+        const drag = this.drag;
+        e.preventDefault();
+
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        if (Math.hypot(drag.x - drag.startX, drag.y - drag.startY) > CONFIG.TAP_SLOP) drag.moved = true;
+        this.holdSlotEl.classList.toggle('drop-target', this.overHoldSlot(drag));
+
+        // Sensitivity above 1 lets a short thumb movement cover the whole board
+        const sensitivity = this.game.settings.dragSensitivity;
+        drag.left = drag.rect.left + (e.clientX - drag.startX) * sensitivity;
+        drag.top = drag.rect.top + (e.clientY - drag.startY) * sensitivity - drag.lift;
+        this.renderer.moveDrag(drag.left, drag.top);
+
+        this.handlePreview(drag);
+    }
+
+    endDrag() {
+        const drag = this.drag;
+        this.drag = null;
+        this.holdSlotEl.classList.remove('drop-target');
+
+        // A tap turns the piece; a drop on the hold slot parks it
+        if (!drag.moved || this.overHoldSlot(drag)) {
+            this.renderer.endDrag(true);
+            this.clearPreviews();
+            if (drag.moved) this.holdPiece(drag.index);
+            else this.rotatePiece(drag.index, true);
+            return;
+        }
+
+        const placed = this.tryPlacePiece(drag);
+        if (placed) {
+            this.game.saveState();
+        } else {
+            this.game.sound.play('invalid');
+        }
+        this.renderer.endDrag(placed);
+        this.clearPreviews();
+    }
+
+    cancelDrag() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.holdSlotEl.classList.remove('drop-target');
+        this.renderer.endDrag(false);
+        this.clearPreviews();
+    }
+
+    overHoldSlot({ x, y, holdRect }) {
+        return x >= holdRect.left && x <= holdRect.right && y >= holdRect.top && y <= holdRect.bottom;
+    }
+
+    dragPoint(drag) {
+        // Where the grabbed block's centre is on screen; the piece is scaled around the grab point
+        const { grab, origin, scale } = drag;
+        const pitch = CONFIG.TRAY_BLOCK_SIZE + CONFIG.TRAY_BLOCK_GAP;
+        return {
+            x: drag.left + origin.x + scale * (grab.col * pitch + CONFIG.TRAY_BLOCK_SIZE / 2 - origin.x),
+            y: drag.top + origin.y + scale * (grab.row * pitch + CONFIG.TRAY_BLOCK_SIZE / 2 - origin.y)
+        };
+    }
+
+    selectPiece(index) {
+        const piece = index === null ? null : this.engine.activePieces[index];
+        if (index !== null && !piece) {
+            this.announce(`Piece ${index + 1} is already used`);
+            return;
+        }
+
+        // Picking a piece by keyboard takes the game back from the AI, like grabbing one does
+        if (index !== null) this.game.stopAutoplay();
+
+        this.cursor.pieceIndex = index;
+        this.dragContainerEl.querySelectorAll('.piece-container').forEach(container => {
+            const selected = parseInt(container.dataset.index) === index;
+            container.classList.toggle('selected', selected);
+            container.setAttribute('aria-selected', selected);
+        });
+
+        if (piece) {
+            this.game.sound.play('pickUp');
+            this.announce(`Selected ${this.describePiece(piece)}. Use arrow keys to move, Enter to place`);
+        }
+        this.updateCursorPreview();
+    }
+
+    moveCursor(dRow, dCol) {
+        const max = this.engine.size - 1;
+        this.cursor.row = Math.min(max, Math.max(0, this.cursor.row + dRow));
+        this.cursor.col = Math.min(max, Math.max(0, this.cursor.col + dCol));
+        this.updateCursorPreview();
+
+        const piece = this.engine.activePieces[this.cursor.pieceIndex];
+        const valid = this.engine.isValidPlacement(this.cursor.col, this.cursor.row, piece);
+        let outcome = ', does not fit';
+        if (valid) {
+            const { lineCount, points } = this.engine.previewPlacement(this.cursor.col, this.cursor.row, piece);
+            outcome = lineCount > 0 ? `, clears ${lineCount} ${lineCount === 1 ? 'line' : 'lines'} for ${points} points` : '';
+        }
+        this.announce(`Row ${this.cursor.row + 1}, column ${this.cursor.col + 1}${outcome}`);
+    }
+
+    updateCursorPreview() {
+        this.clearPreviews();
+        const piece = this.cursor.pieceIndex === null ? null : this.engine.activePieces[this.cursor.pieceIndex];
+        // Nothing to draw on while a restart is rebuilding the board; renderGrid() calls back here
+        if (!piece || !this.renderer.isReady()) return;
+
+        const { col, row } = this.cursor;
+        if (this.engine.isValidPlacement(col, row, piece)) {
+            this.showPreview(col, row, piece);
+        } else {
+            // Outline the part of the footprint that is on the board
+            const footprint = this.footprint(col, row, piece.shape)
+                .filter(([r, c]) => r < this.engine.size && c < this.engine.size);
+            this.renderer.mark(footprint, 'invalid');
+        }
+        this.renderer.mark([[row, col]], 'cursor');
+    }
+
+    footprint(col, row, shape) {
+        // Board cells ([row, col]) a shape would cover with its top-left at (col, row)
+        const cells = [];
+        shape.forEach((line, r) => line.forEach((filled, c) => {
+            if (filled) cells.push([row + r, col + c]);
+        }));
+        return cells;
+    }
+
+    placeAtCursor() {
+        const { pieceIndex, col, row } = this.cursor;
+        if (!this.engine.placePiece(pieceIndex, col, row)) {
+            this.game.sound.play('invalid');
+            this.announce('That piece does not fit there');
+            return;
+        }
+
+        this.game.saveState();
+        this.announce(`Placed at row ${row + 1}, column ${col + 1}`);
+        this.selectPiece(null);
+    }
+
+    describePiece(piece) {
+        const blocks = GameEngine.countBlocks(piece.shape);
+        const special = piece.shape.flat().find(v => typeof v === 'string');
+        return `${piece.shape[0].length} by ${piece.shape.length} piece with ${blocks} ${blocks === 1 ? 'block' : 'blocks'}` +
+            (special ? `, including a ${special} block` : '');
+    }
+
+    showHint() {
+        // Hints the selected piece if there is one, otherwise the best move in the tray
+        if (this.engine.hintsLeft() <= 0) {
+            this.announce('No hints left');
+            return;
+        }
+
+        const hint = this.engine.useHint(this.cursor.pieceIndex);
+        if (!hint) {
+            this.announce('No move fits for that piece');
+            return;
+        }
+
+        this.hint = hint;
+        this.renderHint();
+        // The spent hint is saved like any move, or a reload would hand it back
+        this.game.saveState();
+
+        const turns = ['', ', rotate clockwise once', ', rotate twice', ', rotate counter-clockwise once'];
+        this.announce(`Hint: piece ${hint.index + 1}${turns[hint.rotation]}, row ${hint.row + 1}, column ${hint.col + 1}`);
+    }
+
+    renderHint() {
+        this.renderer.hint([]);
+        this.dragContainerEl.querySelectorAll('.hint').forEach(el => el.classList.remove('hint'));
+        [this.game.rotateCwBtn, this.game.rotateCcwBtn].forEach(btn => btn.classList.remove('hint'));
+
+        const hint = this.hint;
+        if (!hint) return;
+
+        const piece = this.engine.activePieces[hint.index];
+        if (!piece) {
+            this.hint = null;
+            return;
+        }
+
+        // The hinted shape is fixed, so work out which way to turn from the tray's current orientation
+        const orientation = GameEngine.orientationsOf(piece.shape)
+            .find(o => JSON.stringify(o.shape) === JSON.stringify(hint.shape));
+        const rotation = orientation ? orientation.rotation : 0;
+
+        this.renderer.hint(this.footprint(hint.col, hint.row, hint.shape));
+
+        const container = this.dragContainerEl.querySelector(`.piece-container[data-index="${hint.index}"]`);
+        if (container) container.classList.add('hint');
+        if (rotation === 1 || rotation === 2) this.game.rotateCwBtn.classList.add('hint');
+        if (rotation === 3) this.game.rotateCcwBtn.classList.add('hint');
+    }
+
+    clearHint() {
+        this.hint = null;
+        this.renderHint();
+    }
+
+    renderTray() {
+        this.dragContainerEl.innerHTML = '';
+        this.engine.activePieces.forEach((piece, idx) => {
+            const container = document.createElement('div');
+            container.classList.add('piece-container');
+            container.dataset.index = idx;
+            container.setAttribute('role', 'option');
+            container.setAttribute('aria-selected', idx === this.cursor.pieceIndex);
+
+            // Slots already played this turn stay empty (e.g. after restoring a save)
+            if (piece) {
+                const visual = this.createPieceVisual(piece);
+                container.appendChild(visual);
+                container.tabIndex = 0;
+                container.setAttribute('aria-label', `Piece ${idx + 1}: ${this.describePiece(piece)}`);
+                container.classList.toggle('selected', idx === this.cursor.pieceIndex);
+            } else {
+                container.dataset.used = 'true';
+                container.setAttribute('aria-label', `Piece ${idx + 1}: used`);
+            }
+            this.dragContainerEl.appendChild(container);
+        });
+
+        // Drop a selection whose slot is now empty, and redraw the cursor
+        // since a rotation changes the footprint under it
+        if (this.cursor.pieceIndex !== null && !this.engine.activePieces[this.cursor.pieceIndex]) {
+            this.cursor.pieceIndex = null;
+        }
+        this.updateCursorPreview();
+        this.renderHint();
+    }
+
+    createPieceVisual(piece) {
+        const wrap = document.createElement('div');
+        wrap.classList.add('piece-visual');
+        const rows = piece.shape.length;
+        const cols = piece.shape[0].length;
+
+        wrap.style.gridTemplateRows = `repeat(${rows}, ${CONFIG.TRAY_BLOCK_SIZE}px)`;
+        wrap.style.gridTemplateColumns = `repeat(${cols}, ${CONFIG.TRAY_BLOCK_SIZE}px)`;
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const block = document.createElement('div');
+                if (piece.shape[r][c]) {
+                    block.classList.add('piece-block');
+                    block.dataset.color = piece.color;
+                    if (piece.shape[r][c] !== 1) block.dataset.kind = piece.shape[r][c];
+                }
+                wrap.appendChild(block);
+            }
+        }
+        return wrap;
+    }
+
+    handlePreview(drag) {
+        this.clearPreviews();
+
+        const spot = this.hitTest(drag.index, this.dragPoint(drag), drag.grab);
+        if (spot) {
+            this.showPreview(spot.col, spot.row, this.engine.activePieces[drag.index]);
+        }
+    }
+
+    hitTest(index, point, grab) {
+        // Shared by the drag preview and the drop, so what is previewed is what gets placed.
+        // The block the player grabbed (its centre on screen is `point`) decides the target
+        // cell; if that spot is invalid, the nearest valid spot within CONFIG.SNAP_TOLERANCE
+        // cells is used instead.
+        const piece = this.engine.activePieces[index];
+        if (!piece) return null;
+
+        const first = this.renderer.cellRect(0, 0);
+        const cellSize = first.width;
+        const pitch = cellSize + CONFIG.GRID_GAP;
+
+        // Fractional grid position of the piece's top-left, from the grabbed block's centre
+        const x = (point.x - first.left - cellSize / 2) / pitch - grab.col;
+        const y = (point.y - first.top - cellSize / 2) / pitch - grab.row;
+
+        const tolerance = CONFIG.SNAP_TOLERANCE;
+        let best = null;
+        for (let row = Math.ceil(y - tolerance); row <= Math.floor(y + tolerance); row++) {
+            for (let col = Math.ceil(x - tolerance); col <= Math.floor(x + tolerance); col++) {
+                const distance = Math.hypot(col - x, row - y);
+                if (distance > tolerance || (best && distance >= best.distance)) continue;
+                if (this.engine.isValidPlacement(col, row, piece)) best = { col, row, distance };
+            }
+        }
+        return best;
+    }
+
+    showPreview(col, row, piece) {
+        // Rows and columns this drop would clear light up, with the points it would earn
+        const outcome = this.engine.previewPlacement(col, row, piece);
+        const lines = [];
+        for (let i = 0; i < this.engine.size; i++) {
+            outcome.rows.forEach(r => lines.push([r, i]));
+            outcome.cols.forEach(c => lines.push([i, c]));
+        }
+        this.renderer.preview({ cells: this.footprint(col, row, piece.shape), color: piece.color, lines });
+
+        const anchor = this.renderer.cellRect(row, col);
+        this.previewPointsEl.innerText = outcome.lineCount > 0
+            ? `+${outcome.points}${outcome.combo > 1 ? ` x${outcome.combo}` : ''}`
+            : `+${outcome.points}`;
+        this.previewPointsEl.classList.toggle('clearing', outcome.lineCount > 0);
+        this.previewPointsEl.style.left = anchor.left + 'px';
+        this.previewPointsEl.style.top = anchor.top + 'px';
+        this.previewPointsEl.classList.remove('hidden');
+    }
+
+    clearPreviews() {
+        this.previewPointsEl.classList.add('hidden');
+        this.renderer.clearPreviews();
+    }
+
+    tryPlacePiece(drag) {
+        const spot = this.hitTest(drag.index, this.dragPoint(drag), drag.grab);
+        return spot ? this.engine.placePiece(drag.index, spot.col, spot.row) : false;
+    }
+
+    renderPlacement({ index, piece, cells }) {
+        this.renderer.update(cells);
+
+        // Empty the tray slot visually
+        const container = this.dragContainerEl.querySelector(`.piece-container[data-index="${index}"]`);
+        if (container) {
+            container.innerHTML = '';
+            container.dataset.used = 'true';
+            container.removeAttribute('tabindex');
+            container.setAttribute('aria-label', `Piece ${index + 1}: used`);
+        }
+    }
+
+    renderClear({ rows, cols, cells, cracked, bombs, lineCount, multiplier, basePoints, combo, boardCleared, bonus }) {
+        this.renderer.clear(cells);
+        this.renderer.update(cracked);
+
+        // Show floating text at the "center" of the clear
+        // We pick the first cleared cell to spawn text for simplicity, or center of board
+        if (lineCount > 0) {
+            const lines = [combo > 1 ? `COMBO x${combo} +${basePoints * combo}` : `+${basePoints}`];
+            if (multiplier > 1) lines.unshift(`MULTIPLIER x${multiplier}`);
+            if (bombs.length > 0) lines.unshift(bombs.length > 1 ? `BOOM x${bombs.length}` : 'BOOM');
+            if (boardCleared) lines.push(`BOARD CLEAR +${bonus}`);
+            this.showFloatingText(lines.join('\n'), rows, cols);
+        }
+    }
+
+    showFloatingText(text, rows, cols) {
+        // Find a good position: Center of the cleared lines?
+        // Let's just pick the center of the grid for big combos, or the row/col index
+
+        let target;
+        const center = Math.floor(this.engine.size / 2);
+        if (rows.length > 0) {
+            const r = rows[Math.floor(rows.length / 2)];
+            const c = center; // Center col
+            target = [r, c];
+        } else {
+            const c = cols[Math.floor(cols.length / 2)];
+            const r = center; // Center row
+            target = [r, c];
+        }
+
+        const rect = this.renderer.cellRect(target[0], target[1]);
+
+        const floatEl = document.createElement('div');
+        floatEl.classList.add('floating-text');
+        floatEl.innerText = text;
+        floatEl.style.left = rect.left + 'px';
+        floatEl.style.top = rect.top + 'px';
+
+        document.body.appendChild(floatEl);
+
+        setTimeout(() => floatEl.remove(), 1000);
+    }
+
+    rotateAllPieces(clockwise) {
+        if (!this.engine.rotateAllPieces(clockwise)) {
+            this.rotationRefused();
+            return;
+        }
+        this.game.saveState();
+    }
+
+    rotatePiece(index, clockwise) {
+        if (!this.engine.rotatePiece(index, clockwise)) {
+            this.rotationRefused();
+            return;
+        }
+        this.game.saveState();
+        this.announce(`Piece ${index + 1} is now a ${this.describePiece(this.engine.activePieces[index])}`);
+    }
+
+    rotationRefused() {
+        if (this.engine.isGameOver) return;
+        this.game.sound.play('invalid');
+        this.announce('No rotations left for this tray');
+    }
+
+    holdPiece(index) {
+        if (!this.engine.holdPiece(index)) return;
+        this.game.saveState();
+        const held = this.engine.held;
+        this.announce(held ? `Holding a ${this.describePiece(held)}` : 'Hold slot empty');
+    }
+
+    useHoldSlot() {
+        // With a piece selected, swap it into the hold slot; otherwise take the
+        // held piece back out into a free tray slot
+        if (this.cursor.pieceIndex !== null) {
+            this.holdPiece(this.cursor.pieceIndex);
+            return;
+        }
+        const free = this.engine.activePieces.indexOf(null);
+        if (this.engine.held && free !== -1) {
+            this.holdPiece(free);
+        } else if (this.engine.held) {
+            this.announce('Drop a piece on the hold slot to swap it with the held one');
+        } else {
+            this.announce('Drop a piece on the hold slot to keep it for later');
+        }
+    }
+
+    renderHold(piece) {
+        this.holdSlotEl.innerHTML = '<span class="hold-label">HOLD</span>';
+        if (piece) this.holdSlotEl.appendChild(this.createPieceVisual(piece));
+        this.holdSlotEl.setAttribute('aria-label', piece ? `Hold slot: ${this.describePiece(piece)}` : 'Hold slot, empty');
+    }
+}
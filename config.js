@@ -0,0 +1,90 @@
+/**
+ * Shared configuration
+ * Loaded as a plain <script> in the browser and via require() under Node.
+ */
+
+(function (exports) {
+    const CONFIG = {
+        GRID_SIZE: 8,
+        MIN_GRID_SIZE: 6,
+        MAX_GRID_SIZE: 12,
+        TRAY_SIZE: 3, // Pieces dealt per tray
+        GRID_GAP: 4, // px between cells, keep in sync with --grid-gap
+        TRAY_BLOCK_SIZE: 20, // px per block of a tray piece
+        TRAY_BLOCK_GAP: 2, // keep in sync with .piece-visual gap
+        SNAP_TOLERANCE: 1, // cells a drop may be off and still snap to the nearest valid spot
+        SNAP_BACK_MS: 200, // keep in sync with .piece-visual.snapping-back transition
+        AI_MOVE_MS: 600, // Pause between moves when watching the AI play
+        // Blocks store a color index; the colors themselves come from the theme
+        // (--block-0 ... --block-5 in style.css)
+        COLOR_COUNT: 6,
+        THEMES: [
+            { id: 'dark', name: 'Dark' },
+            { id: 'light', name: 'Light' },
+            { id: 'contrast', name: 'High contrast' }
+        ],
+        PALETTES: [
+            { id: 'classic', name: 'Classic' },
+            { id: 'okabe-ito', name: 'Color-blind safe (Okabe-Ito)' },
+            { id: 'tol', name: 'Color-blind safe (Tol bright)' }
+        ],
+        // How the board and dragged pieces are drawn (see renderers.js)
+        RENDERERS: [
+            { id: 'dom', name: 'Standard' },
+            { id: 'canvas', name: 'Canvas (smoother on slow phones)' }
+        ],
+        SAVE_KEY: 'blockBlastSave',
+        SETTINGS_KEY: 'blockBlastSettings', // Only read once, to seed the first profile
+        PROFILES_KEY: 'blockBlastProfiles',
+        // Leaderboard: null keeps scores in localStorage, a URL uses that server instead
+        LEADERBOARD_URL: null,
+        LEADERBOARD_SIZE: 10,
+        NAME_MAX_LENGTH: 16,
+        // Bump whenever the saved state shape changes; older saves are discarded
+        SAVE_VERSION: 3,
+        // Bump whenever rules or piece generation change; old replays no longer re-simulate
+        REPLAY_VERSION: 3,
+        // Deal pieces from a shuffled bag instead of independent rolls
+        BAG_RANDOMIZER: false,
+        // Undos allowed per game; null for unlimited
+        UNDO_LIMIT: null,
+        // Hints allowed per game; null for unlimited
+        HINTS_PER_GAME: 3,
+        // Piece rotations allowed per tray; null for unlimited
+        ROTATIONS_PER_TRAY: null,
+        // A press that moves less than this many px is a tap, not a drag
+        TAP_SLOP: 8,
+        // Special blocks: at most one per dealt piece. Each entry gives the chance of each
+        // kind per piece from its minLevel on (scaled by the difficulty's level pace).
+        // Bombs blast the 3x3 around them when cleared, stones take STONE_HITS clears
+        // to break, and each multiplier tile in a cleared line doubles its points.
+        SPECIAL_BLOCKS: true,
+        SPECIAL_BLOCK_RATES: [
+            { minLevel: 1, bomb: 0, stone: 0, multiplier: 0.03 },
+            { minLevel: 3, bomb: 0.04, stone: 0.04, multiplier: 0.04 },
+            { minLevel: 6, bomb: 0.05, stone: 0.08, multiplier: 0.05 }
+        ],
+        STONE_HITS: 2,
+        // Scoring
+        POINTS_PER_BLOCK: 5,
+        COMBO_GRACE_DROPS: 3, // Dry drops allowed before the combo streak resets
+        BOARD_CLEAR_BONUS: 500,
+        // Longest pause between moves that still counts towards a game's duration
+        IDLE_CAP_MS: 30000,
+        // Local two-player matches (see versus.js). Clearing two or more lines in one drop
+        // sends GARBAGE_PER_LINE cells per extra line to the opponent's board.
+        VERSUS: {
+            hotseat: { type: 'hotseat', name: 'Hot-seat: take turns on one board' },
+            split: { type: 'split', name: 'Split-screen: a board each' }
+        },
+        GARBAGE_PER_LINE: 3,
+        // Built-in modes besides puzzles (see puzzles.js)
+        MODES: {
+            endless: { type: 'endless', name: 'Endless' },
+            timed: { type: 'timed', name: 'Blitz 3:00', durationMs: 180000, bonusMsPerLine: 3000 },
+            moves: { type: 'moves', name: '30 Pieces', pieces: 30 }
+        }
+    };
+
+    exports.CONFIG = CONFIG;
+})(typeof module !== 'undefined' ? module.exports : window);
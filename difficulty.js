@@ -0,0 +1,30 @@
+/**
+ * Difficulty profiles
+ * Every knob the piece generator uses besides the piece set's own weights lives here,
+ * so difficulty can be tuned (e.g. with `node bench.js --difficulty hard`) without
+ * touching engine code.
+ *
+ *   levelPace      How fast the piece set's weight tiers blend into each other as the
+ *                  level rises (1 = reach each tier at its minLevel, 0.5 = half as fast)
+ *   fillMercy      How strongly a crowded board favours groups of smaller shapes
+ *                  (0 = board fill is ignored)
+ *   fairTrayChance Probability that a tray where nothing fits is fixed up so at least
+ *                  one piece can be placed (1 = always, 0 = never)
+ *   fairTrayDraws  Extra draws tried when fixing a tray before falling back to the
+ *                  smallest shape that fits
+ */
+
+(function (exports) {
+    const DIFFICULTY_PROFILES = [
+        { id: 'relaxed', name: 'Relaxed', levelPace: 0.5, fillMercy: 1, fairTrayChance: 1, fairTrayDraws: 20 },
+        { id: 'normal', name: 'Normal', levelPace: 1, fillMercy: 0.5, fairTrayChance: 1, fairTrayDraws: 10 },
+        { id: 'hard', name: 'Hard', levelPace: 1.5, fillMercy: 0, fairTrayChance: 0.5, fairTrayDraws: 5 }
+    ];
+
+    function getDifficulty(id) {
+        return DIFFICULTY_PROFILES.find(profile => profile.id === id) || DIFFICULTY_PROFILES[1];
+    }
+
+    exports.DIFFICULTY_PROFILES = DIFFICULTY_PROFILES;
+    exports.getDifficulty = getDifficulty;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,1163 @@
+/**
+ * Block Blast Engine
+ * Pure game rules: grid, tray, placement, line clearing and scoring.
+ * Touches no DOM, so it runs headless under Node as well as in the browser.
+ *
+ * Events (engine.on(name, fn)):
+ *   piecePlaced  { index, piece, col, row, cells, points }
+ *   linesCleared { rows, cols, cells, cracked, bombs, lineCount, multiplier, basePoints, combo, boardCleared, bonus, points }
+ *   comboChanged { combo, dryDrops }
+ *   scoreChanged { score }
+ *   levelChanged { level }
+ *   trayChanged  { pieces }
+ *   gameOver     { score, level, stats, reason, won }
+ *   modeChanged  { mode, state }
+ *   historyChanged { canUndo, canRedo, undosLeft }
+ *   hintsChanged { hintsLeft }
+ *   rotationsChanged { rotationsLeft }
+ *   holdChanged  { piece }
+ *   garbageAdded { cells }
+ *
+ * Modes: endless (default), timed (clock runs down via tick(), clears add time),
+ * moves (a fixed number of pieces), puzzle (fixed start grid, piece sequence and goal)
+ * and level (a goal to reach with random pieces, optionally a limited number; see levels.js).
+ *
+ * A game can also begin from a shared position (startFrom) rather than an empty board.
+ *
+ * Grid cells are null (empty), a color index, or for special blocks { color, kind, hits }.
+ * In piece shapes a block is 1, or the kind of special block it is:
+ *   bomb        clears the 3x3 around it when it is cleared, setting off other bombs
+ *   stone       cracks on its first clear (hits counts down) and breaks on the last
+ *   multiplier  each one in a cleared line doubles that drop's line points
+ *   garbage     dumped on the board by a versus opponent (addGarbage), never dealt
+ *
+ * All randomness comes from a seeded generator and every move is logged,
+ * so GameEngine.replay(engine.getReplay()) re-simulates a game exactly.
+ * With the sharedDeal option the deal ignores the board and the score altogether, so
+ * every engine given the same seed and settings is dealt the same pieces (see versus.js).
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+    const { SeededRandom } = typeof module !== 'undefined' ? require('./random.js') : window;
+    const { getPieceSet, parsePieceSet } = typeof module !== 'undefined' ? require('./piece-sets.js') : window;
+    const { getDifficulty } = typeof module !== 'undefined' ? require('./difficulty.js') : window;
+
+    function buildPools(pieceSet, size) {
+        // Shapes bigger than the board could never be placed, so they are never dealt
+        const pools = {};
+        Object.keys(pieceSet.groups).forEach(group => {
+            pools[group] = pieceSet.groups[group].filter(shape => shape.length <= size && shape[0].length <= size);
+        });
+        return pools;
+    }
+
+    function canDeal(pieceSet, pools) {
+        // Every weights tier needs a positive weight on a group with something left in it
+        return pieceSet.weights.every(tier => Object.keys(tier.weights)
+            .some(group => tier.weights[group] > 0 && pools[group] && pools[group].length > 0));
+    }
+
+    function findFullLines(grid) {
+        const size = grid.length;
+        const rows = [];
+        const cols = [];
+
+        // Check Rows
+        for (let r = 0; r < size; r++) {
+            if (grid[r].every(cell => cell !== null)) {
+                rows.push(r);
+            }
+        }
+
+        // Check Cols
+        for (let c = 0; c < size; c++) {
+            let full = true;
+            for (let r = 0; r < size; r++) {
+                if (grid[r][c] === null) {
+                    full = false;
+                    break;
+                }
+            }
+            if (full) cols.push(c);
+        }
+
+        return { rows, cols };
+    }
+
+    function evaluateBoard(grid) {
+        // Higher is better: an emptier board, and no single-cell holes
+        // that only a 1x1 block could ever fill
+        const size = grid.length;
+        const isOpen = (r, c) => r >= 0 && r < size && c >= 0 && c < size && grid[r][c] === null;
+        let filled = 0;
+        let holes = 0;
+
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (grid[r][c] !== null) {
+                    filled++;
+                } else if (!isOpen(r - 1, c) && !isOpen(r + 1, c) && !isOpen(r, c - 1) && !isOpen(r, c + 1)) {
+                    holes++;
+                }
+            }
+        }
+        return -filled - holes * 3;
+    }
+
+    function clearCells(grid, rows, cols) {
+        // Empties the full lines in place, applying special blocks: bombs caught in the
+        // clear blast their 3x3 neighbourhood (a chain when that holds more bombs), and
+        // stones with hits to spare only crack. Returns what happened, for scoring.
+        const size = grid.length;
+        const hit = new Set();
+        const bombs = [];
+        let multipliers = 0;
+        const add = (r, c) => {
+            if (r < 0 || r >= size || c < 0 || c >= size || grid[r][c] === null) return;
+            const key = r * size + c;
+            if (hit.has(key)) return;
+            hit.add(key);
+            if (GameEngine.cellKind(grid[r][c]) === 'bomb') bombs.push([r, c]);
+        };
+
+        rows.forEach(r => {
+            for (let c = 0; c < size; c++) add(r, c);
+        });
+        cols.forEach(c => {
+            for (let r = 0; r < size; r++) add(r, c);
+        });
+        // Only tiles the lines themselves pass through count, not ones a bomb blows up
+        hit.forEach(key => {
+            if (GameEngine.cellKind(grid[Math.floor(key / size)][key % size]) === 'multiplier') multipliers++;
+        });
+        for (let i = 0; i < bombs.length; i++) {
+            const [r, c] = bombs[i];
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) add(r + dr, c + dc);
+            }
+        }
+
+        const cells = [];
+        const cracked = [];
+        hit.forEach(key => {
+            const r = Math.floor(key / size);
+            const c = key % size;
+            const cell = grid[r][c];
+            if (GameEngine.cellKind(cell) === 'stone' && cell.hits > 1) {
+                grid[r][c] = { ...cell, hits: cell.hits - 1 };
+                cracked.push([r, c]);
+            } else {
+                grid[r][c] = null;
+                cells.push([r, c]);
+            }
+        });
+        return { cells, cracked, bombs, multiplier: 2 ** multipliers };
+    }
+
+    class GameEngine {
+        constructor(options = {}) {
+            this.configure(options);
+            this.colorCount = options.colorCount || CONFIG.COLOR_COUNT;
+            this.useBag = options.bag !== undefined ? options.bag : CONFIG.BAG_RANDOMIZER;
+            this.undoLimit = options.undoLimit !== undefined ? options.undoLimit : CONFIG.UNDO_LIMIT;
+            this.hintLimit = options.hintLimit !== undefined ? options.hintLimit : CONFIG.HINTS_PER_GAME;
+            this.pxPerLine = 100; // Base score per line
+            this.now = options.now || Date.now; // Injectable clock for play-time stats
+            this.listeners = {};
+            this.reset(options.seed);
+        }
+
+        configure({ gridSize, pieceSet, mode, difficulty, rotationLimit, specials, sharedDeal } = {}) {
+            // Board size, piece set, mode, difficulty, rotation budget, special blocks and the
+            // kind of deal only change between games; call newGame() afterwards
+            this.difficulty = difficulty || getDifficulty('normal');
+            this.sharedDeal = sharedDeal === true;
+            this.rotationLimit = rotationLimit !== undefined ? rotationLimit : CONFIG.ROTATIONS_PER_TRAY;
+            this.specials = specials !== undefined ? specials : CONFIG.SPECIAL_BLOCKS;
+            this.mode = mode || { type: 'endless' };
+            if (this.mode.type === 'puzzle') gridSize = this.mode.puzzle.grid.length;
+            // Levels are rated by pieces used, so every player gets the same board
+            if (this.mode.type === 'level') gridSize = this.mode.level.grid ? this.mode.level.grid.length : CONFIG.GRID_SIZE;
+
+            this.size = Math.min(CONFIG.MAX_GRID_SIZE, Math.max(CONFIG.MIN_GRID_SIZE, gridSize || CONFIG.GRID_SIZE));
+            this.pieceSet = pieceSet || getPieceSet('classic');
+            this.pools = buildPools(this.pieceSet, this.size);
+            // A set with nothing to deal at some level on this board (e.g. a custom set whose
+            // only shapes are too big for it) would break the first deal, so classic stands in
+            if (!canDeal(this.pieceSet, this.pools)) {
+                this.pieceSet = getPieceSet('classic');
+                this.pools = buildPools(this.pieceSet, this.size);
+            }
+
+            // Average blocks per shape in each group, so a crowded board can favour small groups
+            this.poolSizes = {};
+            Object.keys(this.pools).forEach(group => {
+                const blocks = this.pools[group].map(GameEngine.countBlocks);
+                this.poolSizes[group] = blocks.reduce((sum, n) => sum + n, 0) / Math.max(1, blocks.length);
+            });
+        }
+
+        on(event, fn) {
+            if (!this.listeners[event]) this.listeners[event] = [];
+            this.listeners[event].push(fn);
+            return this;
+        }
+
+        off(event, fn) {
+            if (this.listeners[event]) {
+                this.listeners[event] = this.listeners[event].filter(l => l !== fn);
+            }
+            return this;
+        }
+
+        emit(event, detail) {
+            (this.listeners[event] || []).forEach(fn => fn(detail));
+        }
+
+        createEmptyGrid() {
+            return Array(this.size).fill().map(() => Array(this.size).fill(null));
+        }
+
+        reset(seed = SeededRandom.randomSeed()) {
+            const preset = this.mode.puzzle || this.mode.level;
+            this.grid = preset && preset.grid ? this.parseStartGrid(preset.grid) : this.createEmptyGrid();
+            this.activePieces = []; // The 3 pieces currently available
+            this.isGameOver = false;
+            this.endReason = null; // Why the game ended, once it has
+            this.seed = seed;
+            this.rng = new SeededRandom(seed);
+            this.bag = [];
+            this.moves = [];
+            this.stats = {
+                piecesPlaced: 0,
+                linesCleared: 0,
+                bestClear: 0, // Most lines cleared by a single drop
+                duration: 0, // Active play time in ms
+                lastMoveAt: this.now()
+            };
+            this.combo = 0; // Consecutive drops that cleared at least one line
+            this.dryDrops = 0; // Drops without a clear since the last one that had one
+            this.emitCombo();
+            this.undoStack = [];
+            this.redoStack = [];
+            this.undosUsed = 0;
+            this.hintsUsed = 0;
+            this.emitHistory();
+            this.emit('hintsChanged', { hintsLeft: this.hintsLeft() });
+            this.held = null; // Piece parked in the hold slot
+            this.rotationsUsed = 0; // In the current tray
+            this.emit('holdChanged', { piece: null });
+            this.emitRotations();
+            this.modeState = this.initialModeState();
+            this.emitMode();
+            this.start = null; // Shared position the game began from, see startFrom()
+            // A map level deals pieces at its own number throughout
+            this.updateLevel(this.mode.type === 'level' ? this.mode.number : 1);
+            this.updateScore(0);
+        }
+
+        // Modes
+
+        initialModeState() {
+            if (this.mode.type === 'timed') return { timeLeft: this.mode.durationMs };
+            if (this.mode.type === 'moves') return { piecesLeft: this.mode.pieces };
+            if (this.mode.type === 'puzzle') return { nextPiece: 0, linesCleared: 0 };
+            if (this.mode.type === 'level') {
+                const { pieces } = this.mode.level;
+                const state = { linesCleared: 0, rowsCleared: 0, columnsCleared: 0, boardClears: 0 };
+                return pieces ? { ...state, piecesLeft: pieces } : state;
+            }
+            return {};
+        }
+
+        parseStartGrid(rows) {
+            // One string per row: '.' is empty, a digit a filled cell of that color index
+            return rows.map(row => [...row].map(ch =>
+                ch === '.' ? null : Number(ch) % this.colorCount));
+        }
+
+        emitMode() {
+            this.emit('modeChanged', { mode: this.mode, state: { ...this.modeState } });
+        }
+
+        dealPiece() {
+            // Next piece for the tray, or null once a limited mode has nothing left to deal
+            if (this.mode.type === 'moves' || (this.mode.type === 'level' && this.mode.level.pieces)) {
+                if (this.modeState.piecesLeft <= 0) return null;
+                this.modeState.piecesLeft--;
+            }
+            if (this.mode.type === 'puzzle') {
+                const shapes = this.mode.puzzle.pieces;
+                const i = this.modeState.nextPiece;
+                if (i >= shapes.length) return null;
+                this.modeState.nextPiece++;
+                return { shape: shapes[i], color: i % this.colorCount };
+            }
+            return this.generateRandomPiece();
+        }
+
+        tick(ms) {
+            // Timed mode only: the UI calls this while the game is on screen
+            if (this.mode.type !== 'timed' || this.isGameOver) return;
+
+            this.modeState.timeLeft = Math.max(0, this.modeState.timeLeft - ms);
+            this.emitMode();
+            if (this.modeState.timeLeft === 0) this.endGame('timeUp');
+        }
+
+        isGoalMet() {
+            const goal = this.goal();
+            if (!goal) return false;
+
+            if (goal.type === 'clearBoard') return this.grid.every(line => line.every(cell => cell === null));
+            if (goal.type === 'lines') return this.modeState.linesCleared >= goal.count;
+            if (goal.type === 'rows') return this.modeState.rowsCleared >= goal.count;
+            if (goal.type === 'columns') return this.modeState.columnsCleared >= goal.count;
+            if (goal.type === 'boardClears') return this.modeState.boardClears >= goal.count;
+            if (goal.type === 'combo') return this.combo >= goal.count;
+            if (goal.type === 'score') return this.score >= goal.target;
+            return false;
+        }
+
+        goal() {
+            // What a puzzle or level is won by; other modes have none
+            if (this.mode.type === 'puzzle') return this.mode.puzzle.goal;
+            if (this.mode.type === 'level') return this.mode.level.goal;
+            return null;
+        }
+
+        endGame(reason) {
+            this.isGameOver = true;
+            this.endReason = reason;
+            this.emitHistory();
+            this.emit('gameOver', {
+                score: this.score,
+                level: this.level,
+                stats: { ...this.stats },
+                reason,
+                won: reason === 'solved'
+            });
+        }
+
+        newGame(seed) {
+            this.reset(seed);
+            this.spawnPieces();
+        }
+
+        startFrom(position, seed) {
+            // Begin from a shared position ({ grid, pieces, score, level }, see share.js)
+            // instead of an empty board. Later trays are dealt as usual. Like restore(),
+            // refuses a position this board can't hold (returning false) and changes nothing.
+            if (!this.isValidPosition(position)) return false;
+            this.reset(seed);
+            this.start = JSON.parse(JSON.stringify(position));
+            this.grid = this.start.grid.map(line => line.map(cell => cell === null ? null : cell % this.colorCount));
+            this.updateLevel(this.start.level);
+            this.score = this.start.score;
+            this.emit('scoreChanged', { score: this.score });
+
+            const pieces = this.start.pieces.map(p => p && { shape: p.shape, color: p.color % this.colorCount });
+            if (pieces.length === 0 || pieces.every(p => p === null)) {
+                this.spawnPieces();
+                return true;
+            }
+            this.activePieces = pieces;
+            this.emit('trayChanged', { pieces: this.activePieces });
+            this.checkGameOver();
+            return true;
+        }
+
+        isValidPosition(position) {
+            // A square grid of this board's size holding colors, at most a tray of pieces
+            // that each fit on it, a score and a level
+            const { grid, pieces, score, level } = position || {};
+            const isCell = cell => cell === null || (Number.isInteger(cell) && cell >= 0);
+            const isRow = (line, length, isValue) => Array.isArray(line) && line.length === length && line.every(isValue);
+            if (!Array.isArray(grid) || grid.length !== this.size ||
+                !grid.every(line => isRow(line, this.size, isCell))) return false;
+
+            const isPiece = piece => piece === null || (!!piece && Number.isInteger(piece.color) && piece.color >= 0 &&
+                Array.isArray(piece.shape) && piece.shape.length > 0 && piece.shape.length <= this.size &&
+                Array.isArray(piece.shape[0]) && piece.shape[0].length > 0 && piece.shape[0].length <= this.size &&
+                piece.shape.every(line => isRow(line, piece.shape[0].length, v => v === 0 || v === 1)) &&
+                piece.shape.some(line => line.includes(1)));
+            if (!Array.isArray(pieces) || pieces.length > CONFIG.TRAY_SIZE || !pieces.every(isPiece)) return false;
+
+            return Number.isFinite(score) && score >= 0 && Number.isInteger(level) && level >= 1;
+        }
+
+        getReplay() {
+            return JSON.parse(JSON.stringify({
+                version: CONFIG.REPLAY_VERSION,
+                seed: this.seed,
+                bag: this.useBag,
+                gridSize: this.size,
+                mode: this.mode,
+                difficulty: this.difficulty.id,
+                rotationLimit: this.rotationLimit,
+                specials: this.specials,
+                sharedDeal: this.sharedDeal,
+                start: this.start,
+                // Built-in sets by id, custom ones in full so the log stands on its own
+                pieceSet: getPieceSet(this.pieceSet.id) === this.pieceSet ? this.pieceSet.id : this.pieceSet,
+                moves: this.moves,
+                score: this.score
+            }));
+        }
+
+        static replay(log, options = {}) {
+            if (!log || log.version !== CONFIG.REPLAY_VERSION) {
+                throw new Error('Unsupported replay version');
+            }
+
+            const pieceSet = typeof log.pieceSet === 'object'
+                ? parsePieceSet(log.pieceSet)
+                : getPieceSet(log.pieceSet || 'classic');
+            const engine = new GameEngine({
+                ...options,
+                bag: log.bag,
+                gridSize: log.gridSize,
+                pieceSet,
+                mode: log.mode,
+                difficulty: getDifficulty(log.difficulty),
+                // Logs from before rotation budgets allowed any number of turns
+                rotationLimit: log.rotationLimit !== undefined ? log.rotationLimit : null,
+                // Older logs were dealt without special blocks (which drew nothing from the rng)
+                specials: log.specials === true,
+                sharedDeal: log.sharedDeal === true
+            });
+            if (log.start) {
+                if (!engine.startFrom(log.start, log.seed)) throw new Error('Invalid start position');
+            } else {
+                engine.newGame(log.seed);
+            }
+            log.moves.forEach((move, i) => {
+                let ok;
+                if (move.type === 'rotate') {
+                    // Older logs only ever rotated the whole tray
+                    ok = move.index === undefined
+                        ? engine.rotateAllPieces(move.clockwise)
+                        : engine.rotatePiece(move.index, move.clockwise);
+                } else if (move.type === 'hold') {
+                    ok = engine.holdPiece(move.index);
+                } else if (move.type === 'garbage') {
+                    ok = engine.addGarbage(move.cells);
+                } else {
+                    ok = engine.placePiece(move.index, move.col, move.row);
+                }
+                // Only happens if the rules or the generator changed since the log was recorded
+                if (!ok) throw new Error(`Replay diverged at move ${i}`);
+            });
+            return engine;
+        }
+
+        serialize() {
+            // Deep copy so the caller can stash it without aliasing live state
+            return JSON.parse(JSON.stringify({
+                version: CONFIG.SAVE_VERSION,
+                grid: this.grid,
+                score: this.score,
+                level: this.level,
+                activePieces: this.activePieces,
+                seed: this.seed,
+                rngState: this.rng.state,
+                useBag: this.useBag,
+                bag: this.bag,
+                moves: this.moves,
+                undosUsed: this.undosUsed,
+                hintsUsed: this.hintsUsed,
+                combo: this.combo,
+                dryDrops: this.dryDrops,
+                stats: this.stats,
+                mode: this.mode,
+                modeState: this.modeState,
+                start: this.start,
+                held: this.held,
+                rotationsUsed: this.rotationsUsed
+            }));
+        }
+
+        restore(state) {
+            // Refuse saves from an incompatible build rather than half-loading them
+            if (!state || state.version !== CONFIG.SAVE_VERSION) return false;
+            if (!Array.isArray(state.grid) || state.grid.length !== this.size) return false;
+            if (!Array.isArray(state.activePieces)) return false;
+
+            const copy = JSON.parse(JSON.stringify(state));
+            this.grid = copy.grid;
+            this.activePieces = copy.activePieces;
+            this.isGameOver = false;
+            this.endReason = null;
+            this.seed = copy.seed;
+            this.rng = new SeededRandom(copy.seed);
+            this.rng.state = copy.rngState;
+            this.useBag = copy.useBag;
+            this.bag = copy.bag;
+            this.moves = copy.moves;
+            this.undosUsed = copy.undosUsed || 0;
+            this.hintsUsed = copy.hintsUsed || 0;
+            this.combo = copy.combo || 0;
+            this.dryDrops = copy.dryDrops || 0;
+            this.stats = copy.stats || this.stats;
+            this.modeState = copy.modeState || this.initialModeState();
+            this.start = copy.start || null;
+            this.held = copy.held || null;
+            this.rotationsUsed = copy.rotationsUsed || 0;
+            this.emit('holdChanged', { piece: this.held });
+            this.emitRotations();
+            this.emitMode();
+            this.emitCombo();
+            this.emit('hintsChanged', { hintsLeft: this.hintsLeft() });
+            this.updateLevel(copy.level);
+            this.score = copy.score;
+            this.emit('scoreChanged', { score: this.score });
+            this.emit('trayChanged', { pieces: this.activePieces });
+            this.checkGameOver();
+            return true;
+        }
+
+        // Undo / Redo
+        // Snapshots are full serialize() copies taken before every placement and rotation.
+        // Restoring one also rewinds the RNG and move log, so replays stay exact.
+
+        pushUndo() {
+            // Once the undo budget is spent no snapshot could ever be used, so skip the copy
+            if (this.undosLeft() > 0) this.undoStack.push(this.serialize());
+            this.redoStack = [];
+            this.emitHistory();
+        }
+
+        undosLeft() {
+            return this.undoLimit === null ? Infinity : Math.max(0, this.undoLimit - this.undosUsed);
+        }
+
+        canUndo() {
+            // A game that ran out of moves can still take back the drop that ended it.
+            // Wins, timeouts and running out of pieces are final.
+            const open = !this.isGameOver || this.endReason === 'noMoves';
+            return open && this.undoStack.length > 0 && this.undosLeft() > 0;
+        }
+
+        canRedo() {
+            return !this.isGameOver && this.redoStack.length > 0;
+        }
+
+        undo() {
+            if (!this.canUndo()) return false;
+
+            this.redoStack.push(this.serialize());
+            this.restoreKeepingBudgets(this.undoStack.pop());
+            this.undosUsed++;
+            this.emitHistory();
+            return true;
+        }
+
+        redo() {
+            if (!this.canRedo()) return false;
+
+            // Redo is free, only undos count against the limit
+            this.undoStack.push(this.serialize());
+            this.restoreKeepingBudgets(this.redoStack.pop());
+            this.emitHistory();
+            return true;
+        }
+
+        restoreKeepingBudgets(snapshot) {
+            // Going back in time must not refund undos, hints or clock time already spent
+            const { undosUsed, hintsUsed } = this;
+            const { timeLeft } = this.modeState;
+            this.restore(snapshot);
+            this.undosUsed = undosUsed;
+            this.hintsUsed = hintsUsed;
+            if (timeLeft !== undefined) this.modeState.timeLeft = timeLeft;
+            this.emit('hintsChanged', { hintsLeft: this.hintsLeft() });
+            this.emitMode();
+        }
+
+        emitHistory() {
+            this.emit('historyChanged', {
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo(),
+                undosLeft: this.undosLeft()
+            });
+        }
+
+        spawnPieces() {
+            this.rotationsUsed = 0;
+            this.emitRotations();
+            this.activePieces = [
+                this.dealPiece(),
+                this.dealPiece(),
+                this.dealPiece()
+            ];
+            this.emitMode();
+            this.emit('trayChanged', { pieces: this.activePieces });
+
+            // Limited modes end once everything has been dealt and played,
+            // though a held piece can still be taken back out and played
+            if (this.activePieces.every(p => p === null)) {
+                if (this.held === null) this.endGame('outOfPieces');
+                else this.checkGameOver();
+                return;
+            }
+
+            // Fair tray: a fresh tray where nothing fits (held piece included) gets one piece
+            // swapped for one that does. Puzzles deal a fixed sequence, so they are left alone,
+            // and so is a shared deal, which must not depend on what is on the board.
+            const { fairTrayChance } = this.difficulty;
+            if (this.mode.type !== 'puzzle' && !this.sharedDeal && ![...this.activePieces, this.held].some(p => this.canPlace(p)) &&
+                (fairTrayChance >= 1 || this.rng.next() < fairTrayChance)) {
+                this.makeTrayFair();
+                this.emit('trayChanged', { pieces: this.activePieces });
+            }
+
+            // Check immediate game over (rare but possible with 1x1 holes only)
+            this.checkGameOver();
+        }
+
+        generateRandomPiece() {
+            const shapesPool = this.pools[this.pickPool()];
+
+            const shape = shapesPool[this.rng.nextInt(shapesPool.length)];
+            const color = this.rng.nextInt(this.colorCount);
+            const kind = this.specials ? this.pickSpecialKind() : null;
+            if (!kind) return { shape, color };
+
+            // One of the piece's blocks, chosen at random, becomes the special one.
+            // Pool shapes are shared, so the piece gets its own copy.
+            const blocks = GameEngine.countBlocks(shape);
+            let target = this.rng.nextInt(blocks);
+            return {
+                shape: shape.map(line => line.map(v => (v && target-- === 0 ? kind : v))),
+                color
+            };
+        }
+
+        pickSpecialKind() {
+            // Always one roll, so the generator's sequence doesn't depend on the rates
+            const level = this.dealLevel();
+            const rates = CONFIG.SPECIAL_BLOCK_RATES.filter(entry => entry.minLevel <= level).pop();
+            let roll = this.rng.next();
+            if (!rates) return null;
+            for (const kind of ['bomb', 'stone', 'multiplier']) {
+                if (roll < (rates[kind] || 0)) return kind;
+                roll -= rates[kind] || 0;
+            }
+            return null;
+        }
+
+        canPlace(piece) {
+            return piece !== null && this.findPlacements(piece, { firstOnly: true }).length > 0;
+        }
+
+        makeTrayFair() {
+            // Redraw one slot until something fits; failing that, the smallest shape that fits
+            const slots = this.activePieces.map((_, i) => i).filter(i => this.activePieces[i] !== null);
+            const slot = slots[this.rng.nextInt(slots.length)];
+
+            for (let i = 0; i < this.difficulty.fairTrayDraws; i++) {
+                const piece = this.generateRandomPiece();
+                if (this.canPlace(piece)) {
+                    this.activePieces[slot] = piece;
+                    return;
+                }
+            }
+
+            const shapes = Object.keys(this.pools)
+                .reduce((all, group) => all.concat(this.pools[group]), [])
+                .sort((a, b) => GameEngine.countBlocks(a) - GameEngine.countBlocks(b));
+            const color = this.rng.nextInt(this.colorCount);
+            const shape = shapes.find(s => this.canPlace({ shape: s, color }));
+            if (shape) this.activePieces[slot] = { shape, color };
+        }
+
+        currentWeights() {
+            // The piece set's tiers blend smoothly as the level rises (at the profile's pace),
+            // instead of switching all at once when a tier's minLevel is reached
+            const tiers = this.pieceSet.weights;
+            const level = this.dealLevel();
+            let i = 0;
+            while (i + 1 < tiers.length && tiers[i + 1].minLevel <= level) i++;
+            const from = tiers[i];
+            const to = tiers[i + 1];
+            const t = to ? Math.max(0, (level - from.minLevel) / (to.minLevel - from.minLevel)) : 0;
+
+            // A crowded board shifts weight towards groups of smaller shapes (unless the deal is
+            // shared: the other boards are crowded differently)
+            const fill = this.sharedDeal ? 0 : this.grid.reduce((sum, line) => sum + line.filter(cell => cell !== null).length, 0) /
+                (this.size * this.size);
+            const groups = Object.keys(this.pools).filter(pool => this.pools[pool].length > 0);
+            const smallest = Math.min(...groups.map(pool => this.poolSizes[pool]));
+
+            // Groups with nothing that fits this board are never dealt
+            const weights = {};
+            groups.forEach(pool => {
+                const base = (from.weights[pool] || 0) * (1 - t) + ((to && to.weights[pool]) || 0) * t;
+                const weight = base * Math.exp(-this.difficulty.fillMercy * fill * (this.poolSizes[pool] - smallest));
+                if (weight > 0) weights[pool] = weight;
+            });
+            return weights;
+        }
+
+        dealLevel() {
+            // The level the deal is tuned to, at the profile's pace. A shared deal stays at the
+            // first level, since players level up at their own scores.
+            if (this.sharedDeal) return 1;
+            return 1 + (this.level - 1) * this.difficulty.levelPace;
+        }
+
+        pickPool() {
+            const weights = this.currentWeights();
+            const pools = Object.keys(weights);
+
+            if (this.useBag) {
+                // Bag randomizer: deal every weighted token once before reshuffling,
+                // so droughts of one kind of piece can't last longer than a bag.
+                // A new level's weights take effect from the next bag.
+                if (this.bag.length === 0) {
+                    pools.forEach(pool => {
+                        const tokens = Math.max(1, Math.round(weights[pool]));
+                        for (let i = 0; i < tokens; i++) this.bag.push(pool);
+                    });
+                    this.rng.shuffle(this.bag);
+                }
+                return this.bag.pop();
+            }
+
+            const total = pools.reduce((sum, pool) => sum + weights[pool], 0);
+            let roll = this.rng.next() * total;
+            for (const pool of pools) {
+                if (roll < weights[pool]) return pool;
+                roll -= weights[pool];
+            }
+            return pools[pools.length - 1];
+        }
+
+        isValidPlacement(startCol, startRow, piece, grid = this.grid) {
+            if (!piece) return false;
+
+            for (let r = 0; r < piece.shape.length; r++) {
+                for (let c = 0; c < piece.shape[0].length; c++) {
+                    if (piece.shape[r][c]) {
+                        const targetR = startRow + r;
+                        const targetC = startCol + c;
+
+                        if (targetR < 0 || targetR >= this.size ||
+                            targetC < 0 || targetC >= this.size) {
+                            return false;
+                        }
+
+                        if (grid[targetR][targetC] !== null) {
+                            return false;
+                        }
+                    }
+                }
+            }
+            return true;
+        }
+
+        placePiece(index, col, row) {
+            const piece = this.activePieces[index];
+            if (this.isGameOver || !this.isValidPlacement(col, row, piece)) return false;
+
+            this.pushUndo();
+            this.trackTime();
+            this.stats.piecesPlaced++;
+
+            const cells = [];
+            for (let r = 0; r < piece.shape.length; r++) {
+                for (let c = 0; c < piece.shape[0].length; c++) {
+                    if (piece.shape[r][c]) {
+                        this.grid[row + r][col + c] = GameEngine.makeCell(piece.color, piece.shape[r][c]);
+                        cells.push([row + r, col + c]);
+                    }
+                }
+            }
+
+            this.moves.push({ type: 'place', index, col, row });
+
+            // Remove from tray
+            this.activePieces[index] = null;
+            const points = cells.length * CONFIG.POINTS_PER_BLOCK;
+            this.updateScore(this.score + points);
+            this.emit('piecePlaced', { index, piece, col, row, cells, points });
+
+            const { rows, cols } = this.checkForLines();
+            if (this.isGoalMet()) {
+                this.endGame('solved');
+                return true;
+            }
+            if (rows.length === 0 && cols.length === 0) {
+                // Enough dry drops in a row and the streak is lost
+                this.dryDrops++;
+                if (this.combo > 0 && this.dryDrops >= CONFIG.COMBO_GRACE_DROPS) {
+                    this.combo = 0;
+                }
+                this.emitCombo();
+            }
+
+            // Check if turn needs refill
+            if (this.activePieces.every(p => p === null)) {
+                this.spawnPieces();
+            } else {
+                this.checkGameOver();
+            }
+            return true;
+        }
+
+        checkForLines() {
+            const { rows, cols } = findFullLines(this.grid);
+
+            if (rows.length > 0 || cols.length > 0) {
+                this.clearLines(rows, cols);
+            }
+            return { rows, cols };
+        }
+
+        clearLines(rows, cols) {
+            // cells: emptied (bomb blasts included); cracked: stones that held on
+            const { cells, cracked, bombs, multiplier } = clearCells(this.grid, rows, cols);
+
+            const lineCount = rows.length + cols.length;
+            const boardCleared = this.grid.every(line => line.every(cell => cell === null));
+
+            this.stats.linesCleared += lineCount;
+            if (this.mode.type === 'puzzle') this.modeState.linesCleared += lineCount;
+            if (this.mode.type === 'level') {
+                this.modeState.linesCleared += lineCount;
+                this.modeState.rowsCleared += rows.length;
+                this.modeState.columnsCleared += cols.length;
+                if (boardCleared) this.modeState.boardClears++;
+                this.emitMode();
+            }
+            if (this.mode.type === 'timed') {
+                this.modeState.timeLeft += (rows.length + cols.length) * this.mode.bonusMsPerLine;
+                this.emitMode();
+            }
+            this.stats.bestClear = Math.max(this.stats.bestClear, rows.length + cols.length);
+
+            // Every clearing drop extends the streak
+            this.combo++;
+            this.dryDrops = 0;
+            this.emitCombo();
+
+            const score = GameEngine.scoreClear(lineCount, this.combo, boardCleared, this.pxPerLine, multiplier);
+            this.updateScore(this.score + score.points);
+
+            this.emit('linesCleared', {
+                rows, cols, cells, cracked, bombs, lineCount, multiplier, combo: this.combo, boardCleared, ...score
+            });
+        }
+
+        emitCombo() {
+            this.emit('comboChanged', { combo: this.combo, dryDrops: this.dryDrops });
+        }
+
+        static scoreClear(lineCount, combo, boardCleared, pxPerLine = 100, multiplier = 1) {
+            // Line points scale with the streak: the 3rd clearing drop in a row scores x3.
+            // Multiplier tiles scale them again. Wiping the whole board adds a flat bonus on top.
+            const basePoints = GameEngine.scoreForLines(lineCount, pxPerLine) * multiplier;
+            const bonus = boardCleared ? CONFIG.BOARD_CLEAR_BONUS : 0;
+            return { basePoints, bonus, points: basePoints * Math.max(1, combo) + bonus };
+        }
+
+        static scoreForLines(lineCount, pxPerLine = 100) {
+            // Base: 100 per line.
+            // Multi-line Multiplier: 1 line = x1, 2 lines = x1.5, 3 lines = x2, 4+ = x3
+            let multiplier = 1;
+            if (lineCount === 2) multiplier = 1.5;
+            if (lineCount === 3) multiplier = 2;
+            if (lineCount >= 4) multiplier = 3;
+
+            return Math.round((lineCount * pxPerLine) * multiplier);
+        }
+
+        checkGameOver() {
+            // If no pieces left, obviously not game over (we spawn more)
+            // But the check handles non-null pieces.
+
+            // The held piece can be swapped back in, so it counts as playable too,
+            // and canPlace() allows whatever turns the rotation budget still covers
+            const pieces = [...this.activePieces, this.held].filter(p => p !== null);
+
+            if (pieces.length > 0 && !pieces.some(piece => this.canPlace(piece))) {
+                this.endGame('noMoves');
+            }
+            return this.isGameOver;
+        }
+
+        findPlacements(piece, { firstOnly = false } = {}) {
+            // Every legal spot for the piece in each orientation the rotation budget can reach.
+            // rotation = clockwise quarter turns from how the piece sits in the tray now.
+            const placements = [];
+            for (const { rotation, shape } of this.reachableOrientations(piece.shape)) {
+                const rotated = { ...piece, shape };
+                // Brute force check all positions
+                for (let r = 0; r <= this.size - shape.length; r++) {
+                    for (let c = 0; c <= this.size - shape[0].length; c++) {
+                        if (this.isValidPlacement(c, r, rotated)) {
+                            placements.push({ rotation, shape, col: c, row: r });
+                            if (firstOnly) return placements;
+                        }
+                    }
+                }
+            }
+            return placements;
+        }
+
+        simulatePlacement(col, row, piece, grid = this.grid) {
+            // What the board would look like after the drop, without touching real state
+            grid = grid.map(line => line.slice());
+            for (let r = 0; r < piece.shape.length; r++) {
+                for (let c = 0; c < piece.shape[0].length; c++) {
+                    if (piece.shape[r][c]) grid[row + r][col + c] = GameEngine.makeCell(piece.color, piece.shape[r][c]);
+                }
+            }
+
+            const { rows, cols } = findFullLines(grid);
+            const { multiplier } = clearCells(grid, rows, cols);
+            return { grid, rows, cols, lineCount: rows.length + cols.length, multiplier };
+        }
+
+        previewPlacement(col, row, piece) {
+            // Lines a drop would clear and the points it would earn, scored exactly as
+            // placePiece() + clearLines() would (a clearing drop extends the combo first)
+            const result = this.simulatePlacement(col, row, piece);
+            const blocks = GameEngine.countBlocks(piece.shape);
+            let points = blocks * CONFIG.POINTS_PER_BLOCK;
+            let combo = this.combo;
+            let boardCleared = false;
+
+            if (result.lineCount > 0) {
+                combo++;
+                boardCleared = result.grid.every(line => line.every(cell => cell === null));
+                points += GameEngine.scoreClear(result.lineCount, combo, boardCleared, this.pxPerLine, result.multiplier).points;
+            }
+            return {
+                rows: result.rows, cols: result.cols, lineCount: result.lineCount,
+                multiplier: result.multiplier, combo, boardCleared, points
+            };
+        }
+
+        findBestPlacement(index = null) {
+            // Best move for one tray piece, or across the whole tray when index is null.
+            // Lines cleared dominate; ties go to the board that is left in better shape.
+            const indices = index === null ? this.activePieces.map((_, i) => i) : [index];
+            let best = null;
+
+            indices.forEach(i => {
+                const piece = this.activePieces[i];
+                if (!piece) return;
+
+                this.findPlacements(piece).forEach(placement => {
+                    const result = this.simulatePlacement(placement.col, placement.row, { ...piece, shape: placement.shape });
+                    const value = result.lineCount * 100 + evaluateBoard(result.grid);
+                    if (!best || value > best.value) {
+                        best = { index: i, ...placement, lineCount: result.lineCount, value };
+                    }
+                });
+            });
+            return best;
+        }
+
+        hintsLeft() {
+            return this.hintLimit === null ? Infinity : Math.max(0, this.hintLimit - this.hintsUsed);
+        }
+
+        useHint(index = null) {
+            // Spends one hint only when there is actually a move to show
+            if (this.isGameOver || this.hintsLeft() <= 0) return null;
+
+            const hint = this.findBestPlacement(index);
+            if (hint) {
+                this.hintsUsed++;
+                this.emit('hintsChanged', { hintsLeft: this.hintsLeft() });
+            }
+            return hint;
+        }
+
+        updateScore(newScore) {
+            this.score = newScore;
+            this.emit('scoreChanged', { score: this.score });
+
+            // Check Level Up
+            // Level up every 1000 points?
+            // Level 1 -> 2 at 500
+            // Level 2 -> 3 at 1500 ...
+            // Map levels keep their number however high the score goes
+            const requiredScore = this.level * 500;
+            if (this.mode.type !== 'level' && this.score >= requiredScore) {
+                this.updateLevel(this.level + 1);
+            }
+        }
+
+        updateLevel(lvl) {
+            this.level = lvl;
+            this.emit('levelChanged', { level: this.level });
+        }
+
+        trackTime() {
+            // Time between moves counts as play time, but long idle gaps (or a reload
+            // the next day) only count up to a cap
+            const now = this.now();
+            this.stats.duration += Math.min(Math.max(0, now - this.stats.lastMoveAt), CONFIG.IDLE_CAP_MS);
+            this.stats.lastMoveAt = now;
+        }
+
+        // Rotation and hold
+        // Each rotation, of one piece or of the whole tray at once, spends one turn of the
+        // tray's rotation budget. The hold slot parks one piece to swap back in later.
+
+        rotationsLeft() {
+            return this.rotationLimit === null ? Infinity : Math.max(0, this.rotationLimit - this.rotationsUsed);
+        }
+
+        emitRotations() {
+            this.emit('rotationsChanged', { rotationsLeft: this.rotationsLeft() });
+        }
+
+        reachableOrientations(shape) {
+            // Three clockwise quarter turns are one turn the other way
+            const budget = this.rotationsLeft();
+            return GameEngine.orientationsOf(shape)
+                .filter(({ rotation }) => (rotation === 3 ? 1 : rotation) <= budget);
+        }
+
+        rotatePiece(index, clockwise) {
+            const piece = this.activePieces[index];
+            if (this.isGameOver || !piece || this.rotationsLeft() <= 0) return false;
+
+            this.pushUndo();
+            this.trackTime();
+            this.moves.push({ type: 'rotate', index, clockwise });
+            this.rotationsUsed++;
+            piece.shape = GameEngine.rotateMatrix(piece.shape, clockwise);
+            this.emitRotations();
+            this.emit('trayChanged', { pieces: this.activePieces });
+            this.checkGameOver();
+            return true;
+        }
+
+        rotateAllPieces(clockwise) {
+            if (this.isGameOver || this.rotationsLeft() <= 0) return false;
+
+            this.pushUndo();
+            this.trackTime();
+            this.moves.push({ type: 'rotate', clockwise });
+            this.rotationsUsed++;
+
+            // Rotate all currently active pieces in the tray
+            this.activePieces.forEach(piece => {
+                if (piece) piece.shape = GameEngine.rotateMatrix(piece.shape, clockwise);
+            });
+            this.emitRotations();
+            this.emit('trayChanged', { pieces: this.activePieces });
+
+            // Re-check game over after rotation (maybe rotation saved us?)
+            this.checkGameOver();
+            return true;
+        }
+
+        holdPiece(index) {
+            // Swap a tray slot with the hold slot: parks the piece when nothing is held,
+            // and on an empty slot takes the held piece back out
+            if (this.isGameOver || index < 0 || index >= this.activePieces.length) return false;
+            const piece = this.activePieces[index];
+            if (!piece && !this.held) return false;
+
+            this.pushUndo();
+            this.trackTime();
+            this.moves.push({ type: 'hold', index });
+            this.activePieces[index] = this.held;
+            this.held = piece;
+            this.emit('holdChanged', { piece: this.held });
+            this.emit('trayChanged', { pieces: this.activePieces });
+
+            // Parking the last piece of a tray deals the next one
+            if (this.activePieces.every(p => p === null)) {
+                this.spawnPieces();
+            } else {
+                this.checkGameOver();
+            }
+            return true;
+        }
+
+        // Versus
+
+        addGarbage(cells) {
+            // An opponent's big clear fills these empty [row, col] cells.
+            // Logged like a move, so replays of a versus board still re-simulate.
+            const empty = ([r, c]) => r >= 0 && r < this.size && c >= 0 && c < this.size && this.grid[r][c] === null;
+            if (this.isGameOver || !cells.every(empty)) return false;
+
+            this.moves.push({ type: 'garbage', cells });
+            cells.forEach(([r, c]) => { this.grid[r][c] = { color: 0, kind: 'garbage' }; });
+            this.emit('garbageAdded', { cells });
+            this.checkGameOver();
+            return true;
+        }
+
+        static countBlocks(shape) {
+            return shape.reduce((sum, line) => sum + line.filter(v => v !== 0).length, 0);
+        }
+
+        // Special blocks
+
+        static makeCell(color, block) {
+            // Grid cell for a piece block: plain blocks stay a bare color index
+            if (block === 1) return color;
+            return block === 'stone' ? { color, kind: block, hits: CONFIG.STONE_HITS } : { color, kind: block };
+        }
+
+        static cellColor(cell) {
+            return cell !== null && typeof cell === 'object' ? cell.color : cell;
+        }
+
+        static cellKind(cell) {
+            return cell !== null && typeof cell === 'object' ? cell.kind : null;
+        }
+
+        static orientationsOf(shape) {
+            // Distinct orientations only: an O piece has one, an I piece two
+            const seen = new Set();
+            const orientations = [];
+            let current = shape;
+            for (let rotation = 0; rotation < 4; rotation++) {
+                const key = JSON.stringify(current);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    orientations.push({ rotation, shape: current });
+                }
+                current = GameEngine.rotateMatrix(current, true);
+            }
+            return orientations;
+        }
+
+        static rotateMatrix(matrix, clockwise) {
+            const rows = matrix.length;
+            const cols = matrix[0].length;
+
+            // New matrix dimensions
+            const newRows = cols;
+            const newCols = rows;
+
+            const newMatrix = Array(newRows).fill().map(() => Array(newCols).fill(0));
+
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    if (clockwise) {
+                        // Clockwise: (r, c) -> (c, rows - 1 - r)
+                        newMatrix[c][rows - 1 - r] = matrix[r][c];
+                    } else {
+                        // Counter-Clockwise: (r, c) -> (cols - 1 - c, r)
+                        newMatrix[cols - 1 - c][r] = matrix[r][c];
+                    }
+                }
+            }
+            return newMatrix;
+        }
+    }
+
+    exports.GameEngine = GameEngine;
+})(typeof module !== 'undefined' ? module.exports : window);
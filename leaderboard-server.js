@@ -0,0 +1,67 @@
+/**
+ * Local leaderboard server (Node only)
+ * An in-memory stand-in for a real backend, speaking the HttpLeaderboard protocol
+ * described in leaderboard.js. Scores are lost when it stops.
+ *
+ *   node leaderboard-server.js [port]
+ *
+ * then set CONFIG.LEADERBOARD_URL to 'http://localhost:8787' (or your port).
+ */
+
+const http = require('http');
+const { rankLeaderboard, normalizeLeaderboardEntry } = require('./leaderboard.js');
+const { CONFIG } = require('./config.js');
+
+function createServer() {
+    const entries = [];
+
+    return http.createServer((req, res) => {
+        // The game is usually served from another origin (or file://)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+        } else if (url.pathname === '/scores' && req.method === 'GET') {
+            const limit = parseInt(url.searchParams.get('limit')) || CONFIG.LEADERBOARD_SIZE;
+            const profileId = url.searchParams.get('profileId');
+            send(200, rankLeaderboard(entries, url.searchParams.get('mode') || 'endless', { profileId, limit }));
+        } else if (url.pathname === '/scores' && req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                try {
+                    const entry = JSON.parse(body);
+                    if (!entry || !Number.isFinite(entry.score) || entry.score < 0 ||
+                        typeof entry.mode !== 'string' || entry.mode === '') {
+                        send(400, { error: 'score and mode are required' });
+                        return;
+                    }
+                    // Stored exactly as LocalLeaderboard would, so ranking never meets a missing field
+                    const clean = normalizeLeaderboardEntry(entry);
+                    entries.push(clean);
+                    send(201, clean);
+                } catch (e) {
+                    send(400, { error: 'Body must be JSON' });
+                }
+            });
+        } else {
+            send(404, { error: 'Not found' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 8787;
+    createServer().listen(port, () => console.log(`Leaderboard server on http://localhost:${port}`));
+}
+
+module.exports = { createServer };
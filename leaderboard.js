@@ -0,0 +1,107 @@
+/**
+ * Leaderboards
+ * Backends share one promise-based interface, so the game doesn't care where scores live:
+ *
+ *   submit({ profileId, name, mode, score, playedAt }) -> Promise<entry>
+ *   top(mode, { profileId, limit })                    -> Promise<entry[]> (best first)
+ *
+ * LocalLeaderboard keeps everything in localStorage. HttpLeaderboard talks to a server
+ * (see leaderboard-server.js for a local stand-in):
+ *
+ *   POST {baseUrl}/scores            body: entry as JSON, responds with the stored entry
+ *   GET  {baseUrl}/scores?mode=&limit=&profileId=   responds with an array of entries
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+
+    const STORAGE_KEY = 'blockBlastLeaderboard';
+    const KEEP_PER_MODE = 100; // Older, lower scores fall off the local board
+
+    function normalizeEntry(entry) {
+        return {
+            profileId: String(entry.profileId || ''),
+            name: String(entry.name || 'Player').slice(0, CONFIG.NAME_MAX_LENGTH),
+            mode: String(entry.mode || 'endless'),
+            score: Number(entry.score) || 0,
+            // Ranking compares these as strings, so anything else gets the current time
+            playedAt: typeof entry.playedAt === 'string' ? entry.playedAt : new Date().toISOString()
+        };
+    }
+
+    function rank(entries, mode, { profileId = null, limit = CONFIG.LEADERBOARD_SIZE } = {}) {
+        return entries
+            .filter(e => e.mode === mode && (profileId === null || e.profileId === profileId))
+            .sort((a, b) => b.score - a.score || a.playedAt.localeCompare(b.playedAt))
+            .slice(0, limit);
+    }
+
+    function qualifies(entries, score, limit = CONFIG.LEADERBOARD_SIZE) {
+        // Whether a score would make it onto a board currently holding these entries
+        if (score <= 0) return false;
+        return entries.length < limit || score > entries[entries.length - 1].score;
+    }
+
+    class LocalLeaderboard {
+        read() {
+            try {
+                return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        submit(entry) {
+            const clean = normalizeEntry(entry);
+            const entries = [...this.read(), clean];
+
+            // Trim each mode's board so storage can't grow without bound
+            const modes = [...new Set(entries.map(e => e.mode))];
+            const kept = modes.reduce((all, mode) => all.concat(rank(entries, mode, { limit: KEEP_PER_MODE })), []);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+            return Promise.resolve(clean);
+        }
+
+        top(mode, options) {
+            return Promise.resolve(rank(this.read(), mode, options));
+        }
+    }
+
+    class HttpLeaderboard {
+        constructor(baseUrl) {
+            this.baseUrl = baseUrl.replace(/\/$/, '');
+        }
+
+        request(path, options) {
+            return fetch(this.baseUrl + path, options).then(response => {
+                if (!response.ok) throw new Error(`Leaderboard request failed (${response.status})`);
+                return response.json();
+            });
+        }
+
+        submit(entry) {
+            return this.request('/scores', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(normalizeEntry(entry))
+            }).then(normalizeEntry);
+        }
+
+        top(mode, { profileId = null, limit = CONFIG.LEADERBOARD_SIZE } = {}) {
+            const params = new URLSearchParams({ mode, limit });
+            if (profileId !== null) params.set('profileId', profileId);
+            return this.request(`/scores?${params}`).then(entries => entries.map(normalizeEntry));
+        }
+    }
+
+    function createLeaderboard(url = CONFIG.LEADERBOARD_URL) {
+        return url ? new HttpLeaderboard(url) : new LocalLeaderboard();
+    }
+
+    exports.LocalLeaderboard = LocalLeaderboard;
+    exports.HttpLeaderboard = HttpLeaderboard;
+    exports.createLeaderboard = createLeaderboard;
+    exports.qualifiesForLeaderboard = qualifies;
+    exports.rankLeaderboard = rank;
+    exports.normalizeLeaderboardEntry = normalizeEntry;
+})(typeof module !== 'undefined' ? module.exports : window);
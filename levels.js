@@ -0,0 +1,108 @@
+/**
+ * Level definitions (data only)
+ * The progression map plays these in order; each one unlocks the next (see progress.js).
+ * Pieces are dealt at random, as in endless at the level's number (its position here).
+ *
+ * goal:   { type: 'lines', count } | { type: 'rows', count } | { type: 'columns', count }
+ *         | { type: 'score', target } | { type: 'combo', count } | { type: 'clearBoard' }
+ *         | { type: 'boardClears', count }
+ * pieces: optional limit on the pieces dealt; run out before the goal and the level is lost
+ * grid:   optional start grid, in the puzzles.js format; levels without one start empty
+ *         on a CONFIG.GRID_SIZE board
+ * stars:  most pieces placed for two and for three stars; finishing at all earns one
+ */
+
+(function (exports) {
+    const LEVELS = [
+        {
+            id: 'first-lines',
+            name: 'First Lines',
+            goal: { type: 'lines', count: 3 },
+            stars: [12, 8]
+        },
+        {
+            id: 'pillars',
+            name: 'Pillars',
+            goal: { type: 'columns', count: 4 },
+            stars: [18, 12]
+        },
+        {
+            id: 'sprint',
+            name: 'Sprint',
+            goal: { type: 'score', target: 2000 },
+            pieces: 20,
+            stars: [16, 12]
+        },
+        {
+            id: 'clean-sweep',
+            name: 'Clean Sweep',
+            goal: { type: 'clearBoard' },
+            stars: [20, 12]
+        },
+        {
+            id: 'rubble',
+            name: 'Rubble',
+            goal: { type: 'lines', count: 5 },
+            grid: [
+                '1.2..3.4',
+                '........',
+                '.5..1...',
+                '........',
+                '2...4..0',
+                '........',
+                '..3...5.',
+                '0..1....'
+            ],
+            stars: [20, 14]
+        },
+        {
+            id: 'layer-cake',
+            name: 'Layer Cake',
+            goal: { type: 'rows', count: 6 },
+            pieces: 30,
+            stars: [24, 18]
+        },
+        {
+            id: 'chain-reaction',
+            name: 'Chain Reaction',
+            goal: { type: 'combo', count: 4 },
+            stars: [20, 14]
+        },
+        {
+            id: 'colonnade',
+            name: 'Colonnade',
+            goal: { type: 'columns', count: 6 },
+            pieces: 40,
+            stars: [32, 24]
+        },
+        {
+            id: 'high-roller',
+            name: 'High Roller',
+            goal: { type: 'score', target: 4500 },
+            pieces: 30,
+            stars: [26, 22]
+        },
+        {
+            id: 'double-sweep',
+            name: 'Double Sweep',
+            goal: { type: 'boardClears', count: 2 },
+            stars: [40, 28]
+        },
+        {
+            id: 'marathon',
+            name: 'Marathon',
+            goal: { type: 'lines', count: 15 },
+            pieces: 45,
+            stars: [40, 34]
+        },
+        {
+            id: 'combo-master',
+            name: 'Combo Master',
+            goal: { type: 'combo', count: 6 },
+            pieces: 40,
+            stars: [34, 26]
+        }
+    ];
+
+    exports.LEVELS = LEVELS;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,148 @@
+/**
+ * Piece sets
+ * A set is plain JSON: named groups of 0/1 shape matrices, plus weight tiers that
+ * say how often each group is dealt from a given level onwards. Custom sets pasted
+ * into the settings screen go through parsePieceSet() before the engine sees them.
+ *
+ * {
+ *   "id": "my-set", "name": "My Set",
+ *   "groups": { "small": [[[1]], [[1, 1]]], "big": [[[1, 1], [1, 1]]] },
+ *   "weights": [
+ *     { "minLevel": 1, "weights": { "small": 8, "big": 2 } },
+ *     { "minLevel": 4, "weights": { "small": 3, "big": 7 } }
+ *   ]
+ * }
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+
+    // Small blocks (always useful)
+    const SMALL_BLOCKS = [
+        [[1]], // 1x1
+        [[1, 1]], // 1x2
+        [[1], [1]], // 2x1
+    ];
+
+    // Standard Tetris Shapes (Tetrominoes)
+    const TETROMINOES = [
+        [[1, 1, 1, 1]], // I (horizontal)
+        [[1], [1], [1], [1]], // I (vertical)
+        [[1, 1], [1, 1]], // O (Square)
+        [[0, 1, 0], [1, 1, 1]], // T
+        [[1, 0], [1, 1], [1, 0]], // T (vertical)
+        [[0, 1, 1], [1, 1, 0]], // S
+        [[1, 1, 0], [0, 1, 1]], // Z
+        [[1, 0, 0], [1, 1, 1]], // J
+        [[0, 0, 1], [1, 1, 1]], // L
+        [[1, 1], [1, 0], [1, 0]], // L (vertical)
+        [[1, 1], [0, 1], [0, 1]], // J (vertical)
+    ];
+
+    // Extra complex / Big shapes (for higher levels)
+    const COMPLEX_SHAPES = [
+        [[1, 1, 1], [1, 1, 1]], // 3x2 block
+        [[1, 1, 1], [1, 0, 1]], // U shape
+        [[1, 0, 0], [1, 0, 0], [1, 1, 1]], // Large L
+        [[0, 0, 1], [0, 0, 1], [1, 1, 1]], // Large J
+    ];
+
+    // The 12 free pentominoes, one orientation each (players can rotate)
+    const PENTOMINOES = [
+        [[0, 1, 1], [1, 1, 0], [0, 1, 0]], // F
+        [[1, 1, 1, 1, 1]], // I
+        [[1, 0], [1, 0], [1, 0], [1, 1]], // L
+        [[0, 1], [1, 1], [1, 0], [1, 0]], // N
+        [[1, 1], [1, 1], [1, 0]], // P
+        [[1, 1, 1], [0, 1, 0], [0, 1, 0]], // T
+        [[1, 0, 1], [1, 1, 1]], // U
+        [[1, 0, 0], [1, 0, 0], [1, 1, 1]], // V
+        [[1, 0, 0], [1, 1, 0], [0, 1, 1]], // W
+        [[0, 1, 0], [1, 1, 1], [0, 1, 0]], // X
+        [[0, 1], [1, 1], [0, 1], [0, 1]], // Y
+        [[1, 1, 0], [0, 1, 0], [0, 1, 1]], // Z
+    ];
+
+    const PIECE_SETS = [
+        {
+            id: 'classic',
+            name: 'Classic',
+            groups: { small: SMALL_BLOCKS, tetromino: TETROMINOES, complex: COMPLEX_SHAPES },
+            weights: [
+                // Level 1-2: Mostly small blocks and simple tetrominoes
+                { minLevel: 1, weights: { small: 4, tetromino: 6 } },
+                // Level 3+: Full mix
+                { minLevel: 3, weights: { small: 2, tetromino: 6, complex: 2 } }
+            ]
+        },
+        {
+            id: 'pentomino',
+            name: 'Pentominoes',
+            groups: { small: SMALL_BLOCKS, tetromino: TETROMINOES, pentomino: PENTOMINOES },
+            weights: [
+                { minLevel: 1, weights: { small: 3, tetromino: 5, pentomino: 2 } },
+                { minLevel: 3, weights: { small: 2, tetromino: 4, pentomino: 4 } }
+            ]
+        }
+    ];
+
+    function getPieceSet(id) {
+        return PIECE_SETS.find(set => set.id === id) || PIECE_SETS[0];
+    }
+
+    function parsePieceSet(input) {
+        // Accepts a JSON string or an already-parsed object; throws with a readable message
+        const set = typeof input === 'string' ? JSON.parse(input) : input;
+
+        if (!set || typeof set !== 'object') throw new Error('Piece set must be an object');
+        if (typeof set.id !== 'string' || !set.id) throw new Error('Piece set needs an "id"');
+        if (!set.groups || typeof set.groups !== 'object') throw new Error('Piece set needs "groups"');
+
+        Object.keys(set.groups).forEach(group => {
+            const shapes = set.groups[group];
+            if (!Array.isArray(shapes) || shapes.length === 0) {
+                throw new Error(`Group "${group}" needs at least one shape`);
+            }
+            shapes.forEach((shape, i) => {
+                const valid = Array.isArray(shape) && shape.length > 0 &&
+                    shape.every(row => Array.isArray(row) && row.length === shape[0].length &&
+                        row.every(v => v === 0 || v === 1)) &&
+                    shape.some(row => row.includes(1));
+                if (!valid) throw new Error(`Shape ${i + 1} in group "${group}" must be a rectangular grid of 0s and 1s`);
+            });
+        });
+
+        if (!Array.isArray(set.weights) || set.weights.length === 0) {
+            throw new Error('Piece set needs at least one "weights" tier');
+        }
+        set.weights.forEach(tier => {
+            if (typeof tier.minLevel !== 'number' || !tier.weights) {
+                throw new Error('Each weights tier needs "minLevel" and "weights"');
+            }
+            Object.keys(tier.weights).forEach(group => {
+                if (!set.groups[group]) throw new Error(`Weights mention unknown group "${group}"`);
+                if (typeof tier.weights[group] !== 'number' || tier.weights[group] < 0) {
+                    throw new Error(`Weight for "${group}" must be a non-negative number`);
+                }
+            });
+            // Otherwise the levels this tier covers would have nothing to deal, on any board
+            const dealable = Object.keys(tier.weights).some(group => tier.weights[group] > 0 &&
+                set.groups[group].some(shape => shape.length <= CONFIG.MAX_GRID_SIZE && shape[0].length <= CONFIG.MAX_GRID_SIZE));
+            if (!dealable) {
+                throw new Error(`Weights tier from level ${tier.minLevel} needs a positive weight on a group ` +
+                    `with a shape that fits a ${CONFIG.MAX_GRID_SIZE}x${CONFIG.MAX_GRID_SIZE} board`);
+            }
+        });
+
+        return {
+            id: set.id,
+            name: set.name || set.id,
+            groups: set.groups,
+            weights: set.weights.slice().sort((a, b) => a.minLevel - b.minLevel)
+        };
+    }
+
+    exports.PIECE_SETS = PIECE_SETS;
+    exports.getPieceSet = getPieceSet;
+    exports.parsePieceSet = parsePieceSet;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,82 @@
+/**
+ * Player profiles
+ * A profile is a name plus that player's settings blob. Several people can share a
+ * device, each with their own settings and leaderboard entries. The first load
+ * creates a default profile that inherits settings saved before profiles existed.
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+
+    const DEFAULT_NAME = 'Player';
+
+    function createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    function readLegacySettings() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    const Profiles = {
+        load() {
+            let data = null;
+            try {
+                data = JSON.parse(localStorage.getItem(CONFIG.PROFILES_KEY));
+            } catch (e) {
+                data = null;
+            }
+            if (data && Array.isArray(data.list) && data.list.length > 0) return data;
+
+            const profile = { id: createId(), name: DEFAULT_NAME, settings: readLegacySettings() };
+            data = { active: profile.id, list: [profile] };
+            this.write(data);
+            return data;
+        },
+
+        write(data) {
+            localStorage.setItem(CONFIG.PROFILES_KEY, JSON.stringify(data));
+        },
+
+        list() {
+            return this.load().list;
+        },
+
+        active() {
+            const data = this.load();
+            return data.list.find(p => p.id === data.active) || data.list[0];
+        },
+
+        select(id) {
+            const data = this.load();
+            if (!data.list.some(p => p.id === id)) return false;
+            data.active = id;
+            this.write(data);
+            return true;
+        },
+
+        create(name) {
+            // New profiles start from default settings and become the active one
+            const data = this.load();
+            const profile = { id: createId(), name: name.trim() || DEFAULT_NAME, settings: {} };
+            data.list.push(profile);
+            data.active = profile.id;
+            this.write(data);
+            return profile;
+        },
+
+        updateActive(changes) {
+            const data = this.load();
+            const profile = data.list.find(p => p.id === data.active) || data.list[0];
+            Object.assign(profile, changes);
+            this.write(data);
+            return profile;
+        }
+    };
+
+    exports.Profiles = Profiles;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,52 @@
+/**
+ * Level progress
+ * Best star rating per level (levels.js), kept on the active profile so every player
+ * on a shared device has their own map. The first level is always open; finishing a
+ * level, with any number of stars, unlocks the next one.
+ */
+
+(function (exports) {
+    const { LEVELS } = typeof module !== 'undefined' ? require('./levels.js') : window;
+    const { Profiles } = typeof module !== 'undefined' ? require('./profiles.js') : window;
+
+    function rateLevel(level, piecesPlaced) {
+        // One star for finishing, more for finishing with fewer pieces
+        const [two, three] = level.stars;
+        if (piecesPlaced <= three) return 3;
+        if (piecesPlaced <= two) return 2;
+        return 1;
+    }
+
+    const LevelProgress = {
+        load() {
+            // { levelId: stars } for every level finished at least once
+            return { ...(Profiles.active().levels || {}) };
+        },
+
+        stars(id) {
+            return this.load()[id] || 0;
+        },
+
+        totalStars() {
+            const levels = this.load();
+            return LEVELS.reduce((sum, level) => sum + (levels[level.id] || 0), 0);
+        },
+
+        isUnlocked(id) {
+            const i = LEVELS.findIndex(level => level.id === id);
+            return i === 0 || (i > 0 && this.stars(LEVELS[i - 1].id) > 0);
+        },
+
+        record(id, stars) {
+            // Only ever raises a level's rating; returns whether it did
+            const levels = this.load();
+            if ((levels[id] || 0) >= stars) return false;
+            levels[id] = stars;
+            Profiles.updateActive({ levels });
+            return true;
+        }
+    };
+
+    exports.rateLevel = rateLevel;
+    exports.LevelProgress = LevelProgress;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,115 @@
+/**
+ * Puzzle definitions (data only)
+ * grid:   one string per row; '.' is empty, a digit is a filled cell (its color index)
+ * pieces: the fixed sequence, dealt three at a time in this order
+ * goal:   { type: 'clearBoard' } | { type: 'lines', count } | { type: 'score', target }
+ */
+
+(function (exports) {
+    const PUZZLES = [
+        {
+            id: 'first-drop',
+            name: 'First Drop',
+            goal: { type: 'clearBoard' },
+            grid: [
+                '........',
+                '........',
+                '........',
+                '........',
+                '........',
+                '........',
+                '........',
+                '000000..'
+            ],
+            pieces: [
+                [[1, 1]]
+            ]
+        },
+        {
+            id: 'crossroads',
+            name: 'Crossroads',
+            goal: { type: 'lines', count: 2 },
+            grid: [
+                '...2....',
+                '...2....',
+                '...2....',
+                '111.1111',
+                '...2....',
+                '...2....',
+                '...2....',
+                '...2....'
+            ],
+            pieces: [
+                [[1, 1]],
+                [[1]],
+                [[1], [1]]
+            ]
+        },
+        {
+            id: 'well',
+            name: 'The Well',
+            goal: { type: 'clearBoard' },
+            grid: [
+                '......',
+                '......',
+                '33333.',
+                '44444.',
+                '33333.',
+                '44444.'
+            ],
+            pieces: [
+                [[1, 1, 1, 1]],
+                [[1, 1]],
+                [[1]]
+            ]
+        },
+        {
+            id: 'double-trouble',
+            name: 'Double Trouble',
+            goal: { type: 'lines', count: 3 },
+            grid: [
+                '........',
+                '........',
+                '........',
+                '.....5..',
+                '.....5..',
+                '.....5..',
+                '..555555',
+                '..555555'
+            ],
+            pieces: [
+                [[0, 1, 0], [1, 1, 1]],
+                [[1, 1], [1, 1]],
+                [[1, 1, 1]],
+                [[1, 0], [1, 0], [1, 1]],
+                [[1]],
+                [[1, 1]]
+            ]
+        },
+        {
+            id: 'score-chase',
+            name: 'Score Chase',
+            goal: { type: 'score', target: 1400 },
+            grid: [
+                '1111111.',
+                '2222222.',
+                '3333333.',
+                '........',
+                '........',
+                '........',
+                '........',
+                '........'
+            ],
+            pieces: [
+                [[1], [1], [1]],
+                [[1, 1, 1, 1]],
+                [[1, 1, 1, 1]],
+                [[1, 1, 1, 1]],
+                [[1, 1, 1, 1]],
+                [[1, 1]]
+            ]
+        }
+    ];
+
+    exports.PUZZLES = PUZZLES;
+})(typeof module !== 'undefined' ? module.exports : window);
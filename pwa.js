@@ -0,0 +1,40 @@
+/**
+ * Offline support
+ * Registers the service worker (sw.js) and reports when a new version has been
+ * downloaded and is waiting, so the UI can offer to switch to it. The switch itself
+ * is a reload once the new worker has taken over.
+ */
+
+(function (exports) {
+    function registerServiceWorker({ onUpdate }) {
+        // file:// pages and browsers without service workers just stay online-only
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        // The first install also takes over the page; only an accepted update reloads it
+        let accepted = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (accepted) location.reload();
+        });
+
+        const offer = worker => onUpdate(() => {
+            accepted = true;
+            worker.postMessage({ type: 'skipWaiting' });
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // A version may still be waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+                });
+            });
+        }).catch(() => {
+            // Offline play is a bonus; the game runs the same without it
+        });
+    }
+
+    exports.registerServiceWorker = registerServiceWorker;
+})(typeof module !== 'undefined' ? module.exports : window);
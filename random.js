@@ -0,0 +1,59 @@
+/**
+ * Seedable randomness for piece generation
+ * Same seed => same sequence of pieces, so games can be replayed and shared.
+ */
+
+(function (exports) {
+    class SeededRandom {
+        constructor(seed) {
+            this.seed = seed;
+            this.state = SeededRandom.hashSeed(seed);
+        }
+
+        // mulberry32: tiny, fast and plenty random for dealing pieces.
+        // The whole generator state is one 32-bit int, which keeps saves small.
+        next() {
+            this.state = (this.state + 0x6D2B79F5) | 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        nextInt(max) {
+            return Math.floor(this.next() * max);
+        }
+
+        shuffle(array) {
+            // Fisher-Yates, in place
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = this.nextInt(i + 1);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+
+        static hashSeed(seed) {
+            // FNV-1a, so both numbers and strings like "2026-10-19" work as seeds
+            const str = String(seed);
+            let hash = 0x811C9DC5;
+            for (let i = 0; i < str.length; i++) {
+                hash ^= str.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash | 0;
+        }
+
+        static randomSeed() {
+            return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+        }
+
+        static dailySeed(date = new Date()) {
+            // Everyone playing on the same (local) day gets the same game
+            const pad = n => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+    }
+
+    exports.SeededRandom = SeededRandom;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,592 @@
+/**
+ * Board renderers
+ * The Game draws the board and the dragged piece through one interface, so how they
+ * are drawn can be swapped in settings (CONFIG.RENDERERS):
+ *
+ *   build()                           redraw the whole board from engine.grid
+ *   reset()                           forget the board, e.g. before its size changes
+ *   isReady()                         whether the board matches the engine's size
+ *   update(cells)                     redraw these [row, col] cells from engine.grid, e.g. blocks
+ *                                     just placed or stones cracked by a clear
+ *   clear(cells)                      animate cleared cells away
+ *   preview({ cells, color, lines })  ghost of a drop, plus the cells of lines it would clear
+ *   mark(cells, kind)                 'cursor' or 'invalid' outlines
+ *   clearPreviews()                   drop previews and marks
+ *   hint(cells)                       pulsing hint outline, hint([]) removes it
+ *   cellRect(row, col)                a cell's client rect, for overlays and hit testing
+ *   refreshStyle()                    theme, palette or patterns changed
+ *   startDrag({ piece, source, rect, origin, scale }), moveDrag(left, top), endDrag(placed)
+ *   destroy()
+ *
+ * DomRenderer keeps one element per cell, which screen readers can walk cell by cell.
+ * CanvasRenderer paints the board and the drag layer on two canvases at most once per
+ * animation frame, which keeps dragging smooth on slow phones.
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+    const { GameEngine } = typeof module !== 'undefined' ? require('./engine.js') : window;
+
+    const CLEAR_MS = 300; // Matches the clearFlash animation in style.css
+    const HINT_COLOR = '#FFD133';
+    const GLYPHS = ['●', '▲', '■', '◆', '✚', '★'];
+    const SPECIAL_GLYPHS = { bomb: '✸', multiplier: '×2' }; // Same marks as style.css
+
+    class DomRenderer {
+        constructor(gridEl, engine) {
+            this.gridEl = gridEl;
+            this.engine = engine;
+            this.marked = []; // Cells touched by previews and marks, so clearing them is cheap
+            this.hinted = [];
+            this.dragVisual = null;
+            this.dragRect = null;
+        }
+
+        cellAt(row, col) {
+            const line = this.gridEl.children[row];
+            return line && line.children[col];
+        }
+
+        build() {
+            const grid = this.engine.grid;
+            this.reset();
+            this.gridEl.setAttribute('role', 'grid');
+            this.gridEl.style.setProperty('--grid-gap', `${CONFIG.GRID_GAP}px`);
+            this.gridEl.style.setProperty('--grid-size', this.engine.size);
+            this.gridEl.setAttribute('aria-rowcount', this.engine.size);
+            this.gridEl.setAttribute('aria-colcount', this.engine.size);
+
+            // Cells sit in role="row" wrappers so screen readers can move by row; the wrappers
+            // are display: contents, so the cells still lay out on the board's CSS grid
+            for (let r = 0; r < this.engine.size; r++) {
+                const line = document.createElement('div');
+                line.classList.add('grid-row');
+                line.setAttribute('role', 'row');
+                line.setAttribute('aria-rowindex', r + 1);
+                for (let c = 0; c < this.engine.size; c++) {
+                    const cell = document.createElement('div');
+                    cell.classList.add('cell');
+                    cell.dataset.row = r;
+                    cell.dataset.col = c;
+                    cell.setAttribute('role', 'gridcell');
+                    cell.setAttribute('aria-colindex', c + 1);
+                    if (grid[r][c] !== null) this.paintCell(cell, grid[r][c]);
+                    this.labelCell(cell, r, c);
+                    line.appendChild(cell);
+                }
+                this.gridEl.appendChild(line);
+            }
+        }
+
+        reset() {
+            this.gridEl.innerHTML = '';
+            this.marked = [];
+            this.hinted = [];
+        }
+
+        isReady() {
+            const { size } = this.engine;
+            return this.gridEl.children.length === size && this.gridEl.children[0].children.length === size;
+        }
+
+        labelCell(cell, r, c) {
+            const value = this.engine.grid[r][c];
+            let state = value === null ? 'empty' : 'filled';
+            const kind = GameEngine.cellKind(value);
+            if (kind === 'stone') state = value.hits === 1 ? 'cracked stone' : 'stone';
+            else if (kind) state = `${kind} block`;
+            cell.setAttribute('aria-label', `Row ${r + 1}, column ${c + 1}, ${state}`);
+        }
+
+        paintCell(cell, value) {
+            // Color and special kind as data attributes; style.css does the rest
+            cell.dataset.color = GameEngine.cellColor(value);
+            const kind = GameEngine.cellKind(value);
+            if (kind) cell.dataset.kind = kind;
+            else delete cell.dataset.kind;
+            if (kind === 'stone') cell.dataset.hits = value.hits;
+            else delete cell.dataset.hits;
+            cell.classList.add('filled');
+        }
+
+        update(cells) {
+            cells.forEach(([r, c]) => {
+                const cell = this.cellAt(r, c);
+                this.paintCell(cell, this.engine.grid[r][c]);
+                this.labelCell(cell, r, c);
+            });
+        }
+
+        clear(cells) {
+            cells.forEach(([r, c]) => this.cellAt(r, c).classList.add('cleared'));
+
+            setTimeout(() => {
+                // The board may have been rebuilt in the meantime
+                if (!this.isReady()) return;
+                cells.forEach(([r, c]) => {
+                    const cell = this.cellAt(r, c);
+                    // A piece may have been dropped here while the animation ran
+                    if (this.engine.grid[r][c] !== null) return;
+                    cell.className = 'cell'; // reset
+                    delete cell.dataset.color;
+                    delete cell.dataset.kind;
+                    delete cell.dataset.hits;
+                    this.labelCell(cell, r, c);
+                });
+            }, CLEAR_MS);
+        }
+
+        preview({ cells, color, lines }) {
+            lines.forEach(([r, c]) => this.markCell(r, c, 'line-preview'));
+            cells.forEach(([r, c]) => {
+                const cell = this.markCell(r, c, 'preview');
+                if (cell) cell.dataset.color = color;
+            });
+        }
+
+        mark(cells, kind) {
+            cells.forEach(([r, c]) => this.markCell(r, c, kind));
+        }
+
+        markCell(r, c, className) {
+            const cell = this.cellAt(r, c);
+            if (!cell) return null;
+            cell.classList.add(className);
+            this.marked.push({ cell, r, c });
+            return cell;
+        }
+
+        clearPreviews() {
+            this.marked.forEach(({ cell, r, c }) => {
+                cell.classList.remove('cursor', 'invalid', 'line-preview', 'preview');
+                if (this.engine.grid[r][c] === null) delete cell.dataset.color;
+            });
+            this.marked = [];
+        }
+
+        hint(cells) {
+            this.hinted.forEach(cell => cell.classList.remove('hint'));
+            this.hinted = cells.map(([r, c]) => this.cellAt(r, c)).filter(Boolean);
+            this.hinted.forEach(cell => cell.classList.add('hint'));
+        }
+
+        cellRect(row, col) {
+            return this.cellAt(row, col).getBoundingClientRect();
+        }
+
+        refreshStyle() {
+            // Cells pick up theme and palette changes through CSS on their own
+        }
+
+        startDrag({ source, rect, origin, scale }) {
+            this.dragVisual = source.cloneNode(true);
+            this.dragVisual.classList.add('dragging');
+            this.dragVisual.style.left = rect.left + 'px';
+            this.dragVisual.style.top = rect.top + 'px';
+            // Scale around the grab point so the grabbed block stays under the pointer
+            this.dragVisual.style.transformOrigin = `${origin.x}px ${origin.y}px`;
+            this.dragVisual.style.transform = `scale(${scale})`;
+            this.dragRect = rect;
+            document.body.appendChild(this.dragVisual);
+        }
+
+        moveDrag(left, top) {
+            if (!this.dragVisual) return;
+            this.dragVisual.style.left = left + 'px';
+            this.dragVisual.style.top = top + 'px';
+        }
+
+        endDrag(placed) {
+            const visual = this.dragVisual;
+            if (!visual) return;
+            this.dragVisual = null;
+
+            if (placed) {
+                visual.remove();
+                return;
+            }
+            // Glide the dragged clone back to its tray slot, then drop it
+            visual.classList.add('snapping-back');
+            visual.style.left = this.dragRect.left + 'px';
+            visual.style.top = this.dragRect.top + 'px';
+            visual.style.transform = 'scale(1)';
+            setTimeout(() => visual.remove(), CONFIG.SNAP_BACK_MS);
+        }
+
+        destroy() {
+            if (this.dragVisual) this.dragVisual.remove();
+            this.reset();
+        }
+    }
+
+    class CanvasRenderer {
+        constructor(gridEl, engine) {
+            this.gridEl = gridEl;
+            this.engine = engine;
+            this.size = null; // Board size last built, null until build()
+
+            this.canvas = document.createElement('canvas');
+            this.canvas.classList.add('board-canvas');
+            this.dragCanvas = document.createElement('canvas');
+            this.dragCanvas.classList.add('drag-canvas');
+            this.dragCanvas.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.dragCanvas);
+
+            this.previewState = null;
+            this.marks = [];
+            this.hintCells = [];
+            this.clearing = new Map(); // Cell index -> { value, start } while it animates away
+            this.drag = null;
+            this.frame = null;
+            this.colors = [];
+            this.style = {};
+
+            this.onResize = () => {
+                this.resize();
+                this.requestDraw();
+            };
+            window.addEventListener('resize', this.onResize);
+        }
+
+        build() {
+            this.reset();
+            this.size = this.engine.size;
+            // Own copy of the cells on the board: by the time clear() is called the
+            // engine has already emptied the cells it needs to animate
+            this.shown = this.engine.grid.map(line => line.slice());
+            this.gridEl.classList.add('canvas-board');
+            this.gridEl.style.setProperty('--grid-gap', `${CONFIG.GRID_GAP}px`);
+            this.gridEl.setAttribute('role', 'img');
+            this.gridEl.removeAttribute('aria-rowcount');
+            this.gridEl.removeAttribute('aria-colcount');
+            this.gridEl.appendChild(this.canvas);
+            this.refreshStyle();
+        }
+
+        reset() {
+            this.gridEl.innerHTML = '';
+            this.size = null;
+            this.previewState = null;
+            this.marks = [];
+            this.hintCells = [];
+            this.clearing.clear();
+        }
+
+        isReady() {
+            return this.size === this.engine.size;
+        }
+
+        refreshStyle() {
+            // Colors live in CSS variables so the canvas follows the theme and palette
+            const css = getComputedStyle(document.documentElement);
+            const read = name => css.getPropertyValue(name).trim();
+            this.colors = Array.from({ length: CONFIG.COLOR_COUNT }, (_, i) => read(`--block-${i}`));
+            this.style = {
+                empty: read('--cell-empty'),
+                text: read('--text-primary'),
+                accent: read('--accent'),
+                glyph: read('--glyph-color'),
+                garbage: read('--garbage-block'),
+                patterns: document.documentElement.classList.contains('patterns'),
+                reducedMotion: window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+            };
+            this.resize();
+            this.requestDraw();
+        }
+
+        resize() {
+            // Backing stores at device pixels, drawing in CSS pixels
+            const dpr = window.devicePixelRatio || 1;
+            const rect = this.canvas.getBoundingClientRect();
+            this.canvas.width = Math.round(rect.width * dpr);
+            this.canvas.height = Math.round(rect.height * dpr);
+            this.dragCanvas.width = Math.round(window.innerWidth * dpr);
+            this.dragCanvas.height = Math.round(window.innerHeight * dpr);
+            this.dpr = dpr;
+        }
+
+        geometry() {
+            // Cells and gaps in CSS pixels, relative to the canvas
+            const width = this.canvas.width / this.dpr;
+            const gap = CONFIG.GRID_GAP;
+            const cell = (width - gap * (this.size - 1)) / this.size;
+            return { cell, pitch: cell + gap };
+        }
+
+        update(cells) {
+            cells.forEach(([r, c]) => { this.shown[r][c] = this.engine.grid[r][c]; });
+            this.requestDraw();
+        }
+
+        clear(cells) {
+            const start = performance.now();
+            cells.forEach(([r, c]) => {
+                if (this.shown[r][c] !== null) this.clearing.set(r * this.size + c, { value: this.shown[r][c], start });
+                this.shown[r][c] = null;
+            });
+            this.requestDraw();
+        }
+
+        preview(state) {
+            this.previewState = state;
+            this.requestDraw();
+        }
+
+        mark(cells, kind) {
+            cells.forEach(([r, c]) => this.marks.push({ r, c, kind }));
+            this.requestDraw();
+        }
+
+        clearPreviews() {
+            if (!this.previewState && this.marks.length === 0) return;
+            this.previewState = null;
+            this.marks = [];
+            this.requestDraw();
+        }
+
+        hint(cells) {
+            this.hintCells = cells;
+            this.requestDraw();
+        }
+
+        cellRect(row, col) {
+            const rect = this.canvas.getBoundingClientRect();
+            const { cell, pitch } = this.geometry();
+            const left = rect.left + col * pitch;
+            const top = rect.top + row * pitch;
+            return { left, top, right: left + cell, bottom: top + cell, width: cell, height: cell };
+        }
+
+        startDrag({ piece, rect, origin, scale }) {
+            this.drag = { piece, rect, origin, scale, left: rect.left, top: rect.top, snap: null };
+            this.requestDraw();
+        }
+
+        moveDrag(left, top) {
+            if (!this.drag) return;
+            this.drag.left = left;
+            this.drag.top = top;
+            this.requestDraw();
+        }
+
+        endDrag(placed) {
+            if (!this.drag) return;
+            if (placed || this.style.reducedMotion) {
+                this.drag = null;
+            } else {
+                const { left, top, scale } = this.drag;
+                this.drag.snap = { start: performance.now(), left, top, scale };
+            }
+            this.requestDraw();
+        }
+
+        requestDraw() {
+            // Any number of changes within a frame cost one redraw
+            if (this.frame !== null) return;
+            this.frame = requestAnimationFrame(now => {
+                this.frame = null;
+                this.draw(now);
+            });
+        }
+
+        draw(now) {
+            const animating = this.drawBoard(now) | this.drawDrag(now);
+            if (animating) this.requestDraw();
+        }
+
+        drawBoard(now) {
+            // Returns whether something is still animating
+            const ctx = this.canvas.getContext('2d');
+            if (!ctx || !this.isReady()) return false;
+
+            ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            const { cell, pitch } = this.geometry();
+            const grid = this.engine.grid;
+            const key = (r, c) => r * this.size + c;
+
+            const ghost = new Map();
+            if (this.previewState) {
+                this.previewState.cells.forEach(([r, c]) => ghost.set(key(r, c), this.previewState.color));
+            }
+
+            for (let r = 0; r < this.size; r++) {
+                for (let c = 0; c < this.size; c++) {
+                    const x = c * pitch;
+                    const y = r * pitch;
+                    this.drawCell(ctx, x, y, cell, null);
+
+                    const fading = this.clearing.get(key(r, c));
+                    if (grid[r][c] !== null) {
+                        this.drawCell(ctx, x, y, cell, grid[r][c]);
+                    } else if (fading) {
+                        // Flash and grow, then shrink away (the DOM clearFlash keyframes)
+                        const t = Math.min(1, (now - fading.start) / CLEAR_MS);
+                        const grow = t < 0.5 ? 1 + 0.4 * t : 1.2 * (1 - t) * 2;
+                        ctx.save();
+                        ctx.globalAlpha = 1 - t * t;
+                        ctx.translate(x + cell / 2, y + cell / 2);
+                        ctx.scale(grow, grow);
+                        this.drawCell(ctx, -cell / 2, -cell / 2, cell, fading.value);
+                        ctx.fillStyle = `rgba(255, 255, 255, ${0.6 * (1 - t)})`;
+                        this.roundRect(ctx, -cell / 2, -cell / 2, cell, cell, 3);
+                        ctx.fill();
+                        ctx.restore();
+                    }
+                    if (ghost.has(key(r, c))) {
+                        ctx.save();
+                        ctx.globalAlpha = 0.5;
+                        this.drawCell(ctx, x, y, cell, ghost.get(key(r, c)));
+                        ctx.restore();
+                    }
+                }
+            }
+
+            if (this.previewState) {
+                this.previewState.lines.forEach(([r, c]) => this.outline(ctx, c * pitch, r * pitch, cell, this.style.text, 2));
+            }
+            this.marks.forEach(({ r, c, kind }) => {
+                this.outline(ctx, c * pitch, r * pitch, cell, kind === 'invalid' ? this.style.accent : this.style.text, 2);
+            });
+
+            // Pulse like the DOM hintPulse animation
+            const pulse = this.style.reducedMotion ? 1 : 0.6 + 0.4 * Math.abs(Math.sin(now / 318));
+            ctx.save();
+            ctx.globalAlpha = pulse;
+            this.hintCells.forEach(([r, c]) => this.outline(ctx, c * pitch, r * pitch, cell, HINT_COLOR, 3));
+            ctx.restore();
+
+            this.clearing.forEach((fading, index) => {
+                if (now - fading.start >= CLEAR_MS) this.clearing.delete(index);
+            });
+            return this.clearing.size > 0 || (this.hintCells.length > 0 && !this.style.reducedMotion);
+        }
+
+        drawDrag(now) {
+            const ctx = this.dragCanvas.getContext('2d');
+            if (!ctx) return false;
+            ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+            ctx.clearRect(0, 0, this.dragCanvas.width, this.dragCanvas.height);
+            if (!this.drag) return false;
+
+            let { left, top, scale } = this.drag;
+            let alpha = 0.9;
+            const snap = this.drag.snap;
+            if (snap) {
+                // Ease back to the tray slot, like the DOM snapping-back transition
+                const t = Math.min(1, (now - snap.start) / CONFIG.SNAP_BACK_MS);
+                const ease = 1 - (1 - t) * (1 - t);
+                left = snap.left + (this.drag.rect.left - snap.left) * ease;
+                top = snap.top + (this.drag.rect.top - snap.top) * ease;
+                scale = snap.scale + (1 - snap.scale) * ease;
+                alpha = 0.9 - 0.3 * ease;
+                if (t >= 1) {
+                    this.drag = null;
+                    return false;
+                }
+            }
+
+            // Blocks scale around the grab point, which stays under the pointer
+            const { piece, origin } = this.drag;
+            const size = CONFIG.TRAY_BLOCK_SIZE * scale;
+            const pitch = (CONFIG.TRAY_BLOCK_SIZE + CONFIG.TRAY_BLOCK_GAP) * scale;
+            const x0 = left + origin.x * (1 - scale);
+            const y0 = top + origin.y * (1 - scale);
+
+            ctx.save();
+            ctx.globalAlpha = alpha;
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 20;
+            ctx.shadowOffsetY = 10;
+            piece.shape.forEach((line, r) => line.forEach((filled, c) => {
+                if (filled) this.drawCell(ctx, x0 + c * pitch, y0 + r * pitch, size, GameEngine.makeCell(piece.color, filled));
+            }));
+            ctx.restore();
+            return snap !== null;
+        }
+
+        drawCell(ctx, x, y, size, value) {
+            // value: a grid cell (null for an empty one)
+            const color = GameEngine.cellColor(value);
+            const kind = GameEngine.cellKind(value);
+            const garbage = kind === 'garbage';
+            ctx.fillStyle = color === null ? this.style.empty : (garbage ? this.style.garbage : this.colors[color]);
+            this.roundRect(ctx, x, y, size, size, 3);
+            ctx.fill();
+
+            if (kind === 'stone') this.drawStone(ctx, x, y, size, value.hits === 1);
+            if (garbage) return; // Plain gray, never a pattern glyph
+
+            // A bomb or multiplier mark takes the place of the pattern glyph
+            const glyph = SPECIAL_GLYPHS[kind] || (color !== null && this.style.patterns ? GLYPHS[color % GLYPHS.length] : null);
+            if (glyph) {
+                ctx.save();
+                ctx.shadowColor = 'transparent';
+                ctx.fillStyle = this.style.glyph;
+                ctx.font = `${SPECIAL_GLYPHS[kind] ? 900 : 400} ${Math.round(size * 0.45)}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(glyph, x + size / 2, y + size / 2);
+                ctx.restore();
+            }
+        }
+
+        drawStone(ctx, x, y, size, cracked) {
+            // Diagonal hatching like the DOM stone background, plus a slash once cracked
+            ctx.save();
+            ctx.shadowColor = 'transparent';
+            this.roundRect(ctx, x, y, size, size, 3);
+            ctx.clip();
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.lineWidth = Math.max(1, size / 12);
+            ctx.beginPath();
+            for (let i = -size; i < size; i += size / 4) {
+                ctx.moveTo(x + i, y + size);
+                ctx.lineTo(x + i + size, y);
+            }
+            ctx.stroke();
+            if (cracked) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.lineWidth = Math.max(1, size / 10);
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + size, y + size);
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        outline(ctx, x, y, size, color, width) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            this.roundRect(ctx, x + width / 2, y + width / 2, size - width, size - width, 3);
+            ctx.stroke();
+        }
+
+        roundRect(ctx, x, y, w, h, radius) {
+            ctx.beginPath();
+            ctx.moveTo(x + radius, y);
+            ctx.arcTo(x + w, y, x + w, y + h, radius);
+            ctx.arcTo(x + w, y + h, x, y + h, radius);
+            ctx.arcTo(x, y + h, x, y, radius);
+            ctx.arcTo(x, y, x + w, y, radius);
+            ctx.closePath();
+        }
+
+        destroy() {
+            if (this.frame !== null) cancelAnimationFrame(this.frame);
+            window.removeEventListener('resize', this.onResize);
+            this.dragCanvas.remove();
+            this.reset();
+            this.gridEl.classList.remove('canvas-board');
+        }
+    }
+
+    function createRenderer(type, gridEl, engine) {
+        return type === 'canvas' ? new CanvasRenderer(gridEl, engine) : new DomRenderer(gridEl, engine);
+    }
+
+    exports.DomRenderer = DomRenderer;
+    exports.CanvasRenderer = CanvasRenderer;
+    exports.createRenderer = createRenderer;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -1,630 +1,1285 @@
 /**
  * Block Blast Clone
- * Logic: 8x8 Grid, Drag & Drop Polyominoes, Line Clearing
+ * UI: the app around the boards (board.js) - header, controls, settings, modes and modals.
+ * One board normally; a split-screen versus match (versus.js) adds a second.
  */
 
-const CONFIG = {
-    GRID_SIZE: 8,
-    COLORS: [
-        '#FF5733', '#33FF57', '#3357FF', '#F333FF', '#33FFF5', '#FFD133'
-    ]
-};
-
 class Game {
     constructor() {
-        this.grid = Array(CONFIG.GRID_SIZE).fill().map(() => Array(CONFIG.GRID_SIZE).fill(null));
-        this.score = 0;
-        this.highScore = localStorage.getItem('blockBlastHighScore') || 0;
-        this.level = 1;
-        this.pxPerLine = 100; // Base score per line
-        this.activePieces = []; // The 3 pieces currently available
+        this.settings = Settings.load();
+        this.sound = new SoundEffects(this.settings);
+        this.engine = new GameEngine(this.engineOptions());
+        this.highScore = this.loadHighScore();
 
         // DOM Elements
-        this.gridEl = document.getElementById('grid');
-        this.dragContainerEl = document.getElementById('drag-container');
         this.levelEl = document.getElementById('level');
+        this.comboBoxEl = document.getElementById('combo-box');
+        this.comboEl = document.getElementById('combo');
+        this.comboMeterEl = document.getElementById('combo-meter');
+        this.scoreContainerEl = document.querySelector('.score-container');
         this.scoreEl = document.getElementById('score');
         this.highScoreEl = document.getElementById('high-score');
         this.gameOverModal = document.getElementById('game-over-modal');
+        this.gameOverTitleEl = document.getElementById('game-over-title');
         this.finalScoreEl = document.getElementById('final-score');
+        this.announcerEl = document.getElementById('announcer');
+        this.finalSeedEl = document.getElementById('final-seed');
+        this.copyReplayBtn = document.getElementById('copy-replay-btn');
+        // Takes back the drop that ended the game, see undo()
+        this.gameOverUndoBtn = document.getElementById('game-over-undo-btn');
+        this.gameOverUndoBtn.addEventListener('click', () => this.undo());
+        this.recordedGame = null; // The finished game's history record, until it is undone
+        this.resultSubmitted = false; // Whether the finished game's score went to the leaderboard
         document.getElementById('restart-btn').addEventListener('click', () => this.restartGame());
+        this.copyReplayBtn.addEventListener('click', () => this.copyReplay());
+
+        this.rotateCwBtn = document.getElementById('rotate-cw');
+        this.rotateCcwBtn = document.getElementById('rotate-ccw');
+        this.rotationsLeftEl = document.getElementById('rotations-left');
+        this.rotateCwBtn.addEventListener('click', () => this.board.rotateAllPieces(true));
+        this.rotateCcwBtn.addEventListener('click', () => this.board.rotateAllPieces(false));
+
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+
+        this.hintBtn = document.getElementById('hint-btn');
+        this.hintsLeftEl = document.getElementById('hints-left');
+        this.hintBtn.addEventListener('click', () => this.board.showHint());
+
+        // Boards on screen. this.board is the one the controls, keyboard and AI play:
+        // the only one normally, player 1's in split-screen.
+        this.boardsEl = document.getElementById('boards');
+        this.boardTemplate = document.getElementById('board-template');
+        this.board = this.addBoard(this.engine);
+        this.boards = [this.board];
+
+        // Versus match in progress, see startMatch()
+        this.match = null;
+        this.versusStatusEl = document.getElementById('versus-status');
+
+        // Watch AI: the autoplayer's timer, and whether it touched the current game
+        this.aiBtn = document.getElementById('ai-btn');
+        this.aiBtn.addEventListener('click', () => this.toggleAutoplay());
+        this.autoplayTimer = null;
+        this.aiPlayed = false;
+
+        // Last level shown, so only real level-ups play a sound
+        this.level = null;
+
+        this.setupSettings();
+        this.setupStats();
+        this.setupModes();
+        this.setupLevels();
+        this.setupProfiles();
+        this.setupLeaderboard();
+        this.setupShare();
+        this.setupUpdates();
+
+        this.bindEngineEvents();
+        this.init();
+    }
 
-        document.getElementById('rotate-cw').addEventListener('click', () => this.rotateAllPieces(true));
-        document.getElementById('rotate-ccw').addEventListener('click', () => this.rotateAllPieces(false));
+    bindEngineEvents() {
+        // The engine owns the rules; everything here just mirrors its state into the DOM
+        this.engine.on('scoreChanged', ({ score }) => this.updateScore(score));
+        this.engine.on('levelChanged', ({ level }) => this.updateLevel(level));
+        this.engine.on('comboChanged', (e) => this.updateCombo(e));
+        // A versus match reports its own result, see showMatchResult()
+        this.engine.on('gameOver', (e) => {
+            if (!this.match) this.triggerGameOver(e);
+        });
+        this.engine.on('historyChanged', (e) => this.updateHistoryButtons(e));
+        this.engine.on('hintsChanged', (e) => this.updateHintButton(e));
+        this.engine.on('rotationsChanged', (e) => this.updateRotations(e));
+        this.engine.on('modeChanged', () => this.updateModeStatus());
+        this.engine.on('trayChanged', () => this.updateModeStatus());
+        this.engine.on('piecePlaced', () => this.updateModeStatus());
+    }
 
-        this.init();
+    addBoard(engine, player = null) {
+        const root = this.boardTemplate.content.firstElementChild.cloneNode(true);
+        this.boardsEl.appendChild(root);
+        return new Board(this, root, engine, player);
     }
 
     restartGame() {
-        this.grid = Array(CONFIG.GRID_SIZE).fill().map(() => Array(CONFIG.GRID_SIZE).fill(null));
-        this.score = 0;
-        this.level = 1;
-        this.activePieces = [];
-        this.bag = [];
-        this.updateScore(0);
-        this.updateLevel(1);
-        this.renderGrid();
+        this.stopAutoplay();
+        this.endMatch();
+        this.board.cancelDrag();
+        this.aiPlayed = false;
+        // A shared board is a one-off: playing again goes back to the player's own settings
+        if (this.engine.start) {
+            this.engine.configure(this.engineOptions());
+            this.highScore = this.loadHighScore();
+            this.highScoreEl.innerText = this.highScore;
+        }
+        // The old cells may not match a newly configured board size, so drop them first,
+        // along with the hint and keyboard selection that point into them
+        this.board.clearHint();
+        this.board.selectPiece(null);
+        this.board.renderer.reset();
+        // A shared or daily seed restarts the same game, otherwise a fresh one
+        this.engine.newGame(this.getSeedFromUrl());
+        this.board.renderGrid();
         this.gameOverModal.classList.add('hidden');
-        this.spawnPieces();
+        if (this.versusType()) this.startMatch(this.versusType());
+        this.saveState();
     }
 
     init() {
-        this.renderGrid();
-        this.updateScore(0);
-        this.updateLevel(1);
         this.highScoreEl.innerText = this.highScore;
-        this.spawnPieces();
-        this.setupInputHandlers();
-    }
-
-    renderGrid() {
-        this.gridEl.innerHTML = '';
-        this.gridEl.style.setProperty('--grid-gap', '4px');
-
-        for (let r = 0; r < CONFIG.GRID_SIZE; r++) {
-            for (let c = 0; c < CONFIG.GRID_SIZE; c++) {
-                const cell = document.createElement('div');
-                cell.classList.add('cell');
-                cell.dataset.row = r;
-                cell.dataset.col = c;
-                // If we had saved state, we'd check this.grid[r][c] here
-                this.gridEl.appendChild(cell);
+        const seed = this.getSeedFromUrl();
+        const shared = this.getSharedBoardFromUrl();
+        if (shared && this.startSharedBoard(shared, seed)) {
+            // The shared position is now the game in progress
+        } else if (this.versusType()) {
+            // Matches aren't saved, so a reload starts a new one
+            this.engine.newGame(seed);
+            this.startMatch(this.versusType());
+        } else if (!this.loadState(seed)) {
+            this.engine.newGame(seed);
+        }
+        this.board.renderGrid();
+        this.setupKeyboardShortcuts();
+        this.setupKeyboardControls();
+        this.startClock();
+
+        // A shared device asks who is playing; a single player goes straight in
+        if (Profiles.list().length > 1) this.openProfiles();
+    }
+
+    engineOptions() {
+        let pieceSet = getPieceSet(this.settings.pieceSet);
+        if (this.settings.pieceSet === 'custom') {
+            try {
+                pieceSet = parsePieceSet(this.settings.customPieceSet);
+            } catch (e) {
+                // A broken custom set falls back to classic rather than blocking the game
+                pieceSet = getPieceSet('classic');
             }
         }
+        return {
+            gridSize: this.settings.gridSize,
+            pieceSet,
+            mode: this.resolveMode(this.settings.mode),
+            difficulty: getDifficulty(this.settings.difficulty),
+            rotationLimit: this.settings.rotationLimit,
+            specials: this.settings.specialBlocks,
+            // Split-screen players must be dealt the same pieces, see versus.js
+            sharedDeal: this.versusType() === 'split'
+        };
     }
 
-    setupInputHandlers() {
-        // We will implement custom drag logic here to support both Mouse and Touch
-        // and to handle the "offset" dragging (finger doesn't cover the piece)
+    resolveMode(key) {
+        // Settings store a mode key; unknown keys (e.g. a removed puzzle) fall back to endless,
+        // and so do versus keys: a match plays endless rules on every board
+        if (key && key.startsWith('puzzle:')) {
+            const puzzle = PUZZLES.find(p => p.id === key.slice('puzzle:'.length));
+            if (puzzle) return { type: 'puzzle', name: puzzle.name, puzzle };
+        }
+        if (key && key.startsWith('level:')) {
+            const index = LEVELS.findIndex(l => l.id === key.slice('level:'.length));
+            if (index >= 0) return { type: 'level', name: LEVELS[index].name, number: index + 1, level: LEVELS[index] };
+        }
+        return CONFIG.MODES[key] || CONFIG.MODES.endless;
+    }
 
-        let draggedPiece = null;
-        let startX, startY;
-        let initialLeft, initialTop;
-        let currentVisual = null;
+    versusType() {
+        // 'hotseat' or 'split' while the chosen mode is a versus match, otherwise null
+        const key = this.settings.mode || '';
+        const type = key.startsWith('versus:') && key.slice('versus:'.length);
+        return CONFIG.VERSUS[type] ? type : null;
+    }
 
-        const onDown = (e) => {
-            const pieceContainer = e.target.closest('.piece-container');
-            if (!pieceContainer || pieceContainer.dataset.used === 'true') return;
+    startMatch(type) {
+        // Split-screen deals player 2 a board of their own from the same seed
+        const engines = [this.engine];
+        if (type === 'split') {
+            const rival = new GameEngine(this.engineOptions());
+            this.boards.push(this.addBoard(rival, this.playerName(1)));
+            rival.newGame(this.engine.seed);
+            this.boards[1].renderGrid();
+            this.board.setPlayer(this.playerName(0));
+            engines.push(rival);
+        }
 
-            e.preventDefault();
-            const pieceIndex = parseInt(pieceContainer.dataset.index);
-            const pieceObj = this.activePieces[pieceIndex];
+        this.match = new VersusMatch(type, engines);
+        this.match.on('turnChanged', ({ turn }) => {
+            this.updateVersusStatus();
+            this.announce(`${this.playerName(turn)}'s turn`);
+        });
+        this.match.on('scoresChanged', () => this.updateVersusStatus());
+        this.match.on('matchOver', (e) => this.showMatchResult(e));
+
+        // Each board shows its own score in split-screen, and hot-seat's shared score
+        // means nothing, so the header boxes make way
+        document.body.classList.toggle('split', type === 'split');
+        this.scoreContainerEl.classList.add('hidden');
+        this.versusStatusEl.classList.toggle('hidden', type !== 'hotseat');
+        this.updateVersusStatus();
+        this.engine.emitHistory(); // Undo is off for the whole match
+    }
 
-            draggedPiece = {
-                data: pieceObj, // The shape data
-                element: pieceContainer,
-                index: pieceIndex
-            };
+    endMatch() {
+        if (!this.match) return;
+        this.match.stop();
+        this.match = null;
+        this.boards.slice(1).forEach(board => board.destroy());
+        this.boards = [this.board];
+        this.board.setPlayer(null);
+        document.body.classList.remove('split');
+        this.scoreContainerEl.classList.remove('hidden');
+        this.versusStatusEl.classList.add('hidden');
+    }
 
-            // Create a clone for dragging
-            const rect = pieceContainer.getBoundingClientRect();
-            currentVisual = pieceContainer.querySelector('.piece-visual').cloneNode(true);
-            currentVisual.classList.add('dragging');
-
-            // Set initial position to match the container exactly
-            currentVisual.style.left = rect.left + 'px';
-            currentVisual.style.top = rect.top + 'px';
-
-            // Calculate scale based on cell size vs visual size
-            // For now, hardcode or calculate dynamically?
-            // Real game scales up 1:1 with grid.
-            const gridCellSize = this.gridEl.children[0].getBoundingClientRect().width;
-            const pieceBlockSize = 20; // from CSS
-            const scale = gridCellSize / pieceBlockSize;
-            currentVisual.style.transform = `scale(${scale})`; // Match grid size
-
-            document.body.appendChild(currentVisual);
-
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-
-            // Offset so we drag from where we grabbed
-            startX = clientX;
-            startY = clientY;
-            initialLeft = rect.left;
-            initialTop = rect.top;
-
-            // Lift it up a bit (visual feedback)
-            // Ideally we want to center the piece under the finger somewhat, 
-            // but for now let's just stick to absolute tracking
-        };
+    playerName(index) {
+        return `Player ${index + 1}`;
+    }
 
-        const onMove = (e) => {
-            if (!draggedPiece || !currentVisual) return;
-            e.preventDefault();
+    updateVersusStatus() {
+        // Hot-seat: both scores, with the player to move highlighted
+        const { scores, turn } = this.match;
+        this.versusStatusEl.innerHTML = '';
+        scores.forEach((score, i) => {
+            if (i > 0) this.versusStatusEl.append(' · ');
+            const span = document.createElement('span');
+            span.innerText = `${this.playerName(i)} ${score}`;
+            span.classList.toggle('turn', i === turn && !this.match.isOver());
+            this.versusStatusEl.appendChild(span);
+        });
+    }
 
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    showMatchResult({ winner, scores }) {
+        const title = winner === null ? 'DRAW' : `${this.playerName(winner).toUpperCase()} WINS!`;
+        const summary = scores.map((score, i) => `${this.playerName(i)} ${score}`).join(' · ');
+
+        // The other player may be mid-drag on their board
+        this.boards.forEach(board => board.cancelDrag());
+        this.updateVersusStatus();
+        this.sound.play(winner === null ? 'gameOver' : 'win');
+        this.gameOverTitleEl.innerText = title;
+        this.finalScoreEl.innerText = summary;
+        this.setResultExtras(false);
+        this.announce(`${title} ${summary}`);
+        this.gameOverModal.classList.remove('hidden');
+    }
 
-            const deltaX = clientX - startX;
-            const deltaY = clientY - startY;
+    setResultExtras(visible) {
+        // Seed, replay, sharing and the leaderboard are about one player's game, so a
+        // match result leaves them out
+        ['.seed-label', '.leaderboard', '#copy-replay-btn', '#game-over-share-btn'].forEach(selector => {
+            this.gameOverModal.querySelector(selector).classList.toggle('hidden', !visible);
+        });
+        if (!visible) {
+            this.nameEntryEl.classList.add('hidden');
+            [this.resultStarsEl, this.nextLevelBtn, this.gameOverMapBtn, this.gameOverUndoBtn].forEach(el => el.classList.add('hidden'));
+        }
+    }
 
-            // We move the visual, but we want to lift it UP so the user's finger 
-            // doesn't cover the block they are placing.
-            // Many mobile games offset the piece by ~100px upwards.
-            const fingerOffset = 80;
+    modeKey(mode) {
+        if (mode.type === 'puzzle') return `puzzle:${mode.puzzle.id}`;
+        if (mode.type === 'level') return `level:${mode.level.id}`;
+        return mode.type;
+    }
 
-            currentVisual.style.left = (initialLeft + deltaX) + 'px';
-            currentVisual.style.top = (initialTop + deltaY - fingerOffset) + 'px';
+    highScoreKey(key = this.modeKey(this.engine.mode)) {
+        // Endless keeps the original key so existing bests carry over
+        return key === 'endless' ? 'blockBlastHighScore' : `blockBlastHighScore:${key}`;
+    }
 
-            // Hit testing for preview
-            this.handlePreview(currentVisual);
-        };
+    loadHighScore(key) {
+        return parseInt(localStorage.getItem(this.highScoreKey(key))) || 0;
+    }
 
-        const onUp = (e) => {
-            if (!draggedPiece) return;
+    setupModes() {
+        this.modeModal = document.getElementById('mode-modal');
+        this.modeListEl = document.getElementById('mode-list');
+        this.puzzleListEl = document.getElementById('puzzle-list');
+        this.versusListEl = document.getElementById('versus-list');
+        this.modeStatusEl = document.getElementById('mode-status');
+
+        document.getElementById('mode-btn').addEventListener('click', () => this.openModes());
+        document.getElementById('game-over-mode-btn').addEventListener('click', () => this.openModes());
+        document.getElementById('mode-cancel-btn').addEventListener('click', () => {
+            this.modeModal.classList.add('hidden');
+        });
+        this.openMapBtn = document.getElementById('open-map-btn');
+        this.openMapBtn.addEventListener('click', () => this.openMap());
+    }
 
-            // Try to place
-            const placed = this.tryPlacePiece(draggedPiece.data, currentVisual);
+    openModes() {
+        const addChoice = (listEl, key, name, best = `Best ${this.loadHighScore(key)}`) => {
+            const btn = document.createElement('button');
+            btn.classList.add('mode-choice');
+            btn.classList.toggle('active', key === this.settings.mode);
+            btn.innerHTML = `<span class="mode-name"></span><span class="mode-best"></span>`;
+            btn.querySelector('.mode-name').innerText = name;
+            btn.querySelector('.mode-best').innerText = best;
+            btn.addEventListener('click', () => this.selectMode(key));
+            listEl.appendChild(btn);
+        };
 
-            if (placed) {
-                // Remove from tray
-                draggedPiece.element.innerHTML = ''; // Empty it visually
-                draggedPiece.element.dataset.used = 'true';
-                this.activePieces[draggedPiece.index] = null;
+        this.modeListEl.innerHTML = '';
+        Object.keys(CONFIG.MODES).forEach(key => addChoice(this.modeListEl, key, CONFIG.MODES[key].name));
+        this.puzzleListEl.innerHTML = '';
+        PUZZLES.forEach(puzzle => addChoice(this.puzzleListEl, `puzzle:${puzzle.id}`, puzzle.name));
+        this.versusListEl.innerHTML = '';
+        Object.keys(CONFIG.VERSUS).forEach(type => addChoice(this.versusListEl, `versus:${type}`, CONFIG.VERSUS[type].name, '2 players'));
+        this.openMapBtn.classList.toggle('active', this.settings.mode.startsWith('level:'));
+        document.getElementById('map-summary').innerText = `★ ${LevelProgress.totalStars()}/${LEVELS.length * 3}`;
 
-                // Check if turn needs refill
-                if (this.activePieces.every(p => p === null)) {
-                    this.spawnPieces();
-                } else {
-                    this.checkGameOver();
-                }
-            } else {
-                // Snap back animation (could rely on CSS transition)
-                // For now just destroy
-            }
+        this.modeModal.classList.remove('hidden');
+    }
 
-            if (currentVisual) currentVisual.remove();
-            currentVisual = null;
-            draggedPiece = null;
-            this.clearPreviews();
-        };
+    selectMode(key) {
+        // The map never offers a locked level, but the keys could still come from elsewhere
+        if (key.startsWith('level:') && !LevelProgress.isUnlocked(key.slice('level:'.length))) return;
 
-        window.addEventListener('mousedown', onDown);
-        window.addEventListener('mousemove', onMove);
-        window.addEventListener('mouseup', onUp);
+        this.settings = { ...this.settings, mode: key };
+        Settings.save(this.settings);
+        this.modeModal.classList.add('hidden');
 
-        window.addEventListener('touchstart', onDown, { passive: false });
-        window.addEventListener('touchmove', onMove, { passive: false });
-        window.addEventListener('touchend', onUp);
+        this.engine.configure(this.engineOptions());
+        this.highScore = this.loadHighScore();
+        this.highScoreEl.innerText = this.highScore;
+        this.restartGame();
     }
 
-    spawnPieces() {
-        this.activePieces = [
-            this.generateRandomPiece(),
-            this.generateRandomPiece(),
-            this.generateRandomPiece()
-        ];
-
-        this.dragContainerEl.innerHTML = '';
-        this.activePieces.forEach((piece, idx) => {
-            const container = document.createElement('div');
-            container.classList.add('piece-container');
-            container.dataset.index = idx;
+    setupLevels() {
+        this.mapModal = document.getElementById('map-modal');
+        this.levelMapEl = document.getElementById('level-map');
+        this.mapStarsEl = document.getElementById('map-stars');
+        this.resultStarsEl = document.getElementById('result-stars');
+        this.nextLevelBtn = document.getElementById('next-level-btn');
+        this.gameOverMapBtn = document.getElementById('game-over-map-btn');
+
+        this.nextLevelBtn.addEventListener('click', () => {
+            const next = LEVELS[this.engine.mode.number];
+            if (next) this.selectMode(`level:${next.id}`);
+        });
+        this.gameOverMapBtn.addEventListener('click', () => this.openMap());
+        document.getElementById('map-close-btn').addEventListener('click', () => {
+            this.mapModal.classList.add('hidden');
+        });
+    }
 
-            const visual = this.createPieceVisual(piece);
-            container.appendChild(visual);
-            this.dragContainerEl.appendChild(container);
+    openMap() {
+        // Every level in order along a winding path; locked ones show, but can't be picked
+        this.modeModal.classList.add('hidden');
+        this.levelMapEl.innerHTML = '';
+        LEVELS.forEach((level, i) => {
+            const key = `level:${level.id}`;
+            const unlocked = LevelProgress.isUnlocked(level.id);
+            const stars = LevelProgress.stars(level.id);
+
+            const item = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.classList.add('level-node');
+            btn.classList.toggle('active', key === this.settings.mode);
+            btn.classList.toggle('done', stars > 0);
+            btn.disabled = !unlocked;
+            btn.innerHTML = `<span class="level-number"></span><span class="level-info"><span class="level-name"></span>` +
+                `<span class="level-goal"></span></span><span class="level-stars"></span>`;
+            btn.querySelector('.level-number').innerText = unlocked ? i + 1 : '🔒';
+            btn.querySelector('.level-name').innerText = level.name;
+            btn.querySelector('.level-goal').innerText = this.describeLevel(level);
+            btn.querySelector('.level-stars').innerText = this.starText(stars);
+            btn.setAttribute('aria-label', unlocked
+                ? `Level ${i + 1}, ${level.name}: ${this.describeLevel(level)}. ${stars} of 3 stars`
+                : `Level ${i + 1}, ${level.name}, locked`);
+            btn.addEventListener('click', () => {
+                this.mapModal.classList.add('hidden');
+                this.selectMode(key);
+            });
+            item.appendChild(btn);
+            this.levelMapEl.appendChild(item);
         });
 
-        // Check immediate game over (rare but possible with 1x1 holes only)
-        this.checkGameOver();
-    }
-
-    generateRandomPiece() {
-        // Tetrominoes and small blocks
-
-        // Small blocks (always useful)
-        const SMALL_BLOCKS = [
-            [[1]], // 1x1
-            [[1, 1]], // 1x2
-            [[1], [1]], // 2x1
-        ];
-
-        // Standard Tetris Shapes (Tetrominoes)
-        const TETROMINOES = [
-            [[1, 1, 1, 1]], // I (horizontal)
-            [[1], [1], [1], [1]], // I (vertical)
-            [[1, 1], [1, 1]], // O (Square)
-            [[0, 1, 0], [1, 1, 1]], // T
-            [[1, 0], [1, 1], [1, 0]], // T (vertical)
-            [[0, 1, 1], [1, 1, 0]], // S
-            [[1, 1, 0], [0, 1, 1]], // Z
-            [[1, 0, 0], [1, 1, 1]], // J
-            [[0, 0, 1], [1, 1, 1]], // L
-            [[1, 1], [1, 0], [1, 0]], // L (vertical)
-            [[1, 1], [0, 1], [0, 1]], // J (vertical)
-        ];
-
-        // Extra complex / Big shapes (for higher levels)
-        const COMPLEX_SHAPES = [
-            [[1, 1, 1], [1, 1, 1]], // 3x2 block
-            [[1, 1, 1], [1, 0, 1]], // U shape
-            [[1, 0, 0], [1, 0, 0], [1, 1, 1]], // Large L
-            [[0, 0, 1], [0, 0, 1], [1, 1, 1]], // Large J
-        ];
-
-        let shapesPool = [];
-
-        // Weighted probability:
-        // Level 1-2: Mostly small blocks and simple tetrominoes
-        // Level 3+: Full mix
-
-        if (this.level < 3) {
-            // High chance of small blocks to keep it easy
-            if (Math.random() < 0.4) shapesPool = SMALL_BLOCKS;
-            else shapesPool = TETROMINOES;
-        } else {
-            const rand = Math.random();
-            if (rand < 0.2) shapesPool = SMALL_BLOCKS; // 20% small
-            else if (rand < 0.8) shapesPool = TETROMINOES; // 60% tetris
-            else shapesPool = COMPLEX_SHAPES; // 20% complex
-        }
+        this.mapStarsEl.innerText = `★ ${LevelProgress.totalStars()} of ${LEVELS.length * 3} stars`;
+        this.mapModal.classList.remove('hidden');
+    }
 
-        const shape = shapesPool[Math.floor(Math.random() * shapesPool.length)];
-        const color = CONFIG.COLORS[Math.floor(Math.random() * CONFIG.COLORS.length)];
-        return { shape, color };
+    describeLevel(level) {
+        const goal = this.describeGoal(level.goal);
+        return level.pieces ? `${goal} in ${level.pieces} pieces` : goal;
     }
 
-    createPieceVisual(piece) {
-        const wrap = document.createElement('div');
-        wrap.classList.add('piece-visual');
-        const rows = piece.shape.length;
-        const cols = piece.shape[0].length;
+    starText(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
 
-        wrap.style.gridTemplateRows = `repeat(${rows}, 20px)`;
-        wrap.style.gridTemplateColumns = `repeat(${cols}, 20px)`;
+    showLevelResult({ won, stats }) {
+        // Stars and the way on for map levels; returns the stars earned (0 when lost)
+        const { mode } = this.engine;
+        const isLevel = mode.type === 'level';
+        const stars = isLevel && won ? rateLevel(mode.level, stats.piecesPlaced) : 0;
+        // Assisted wins (the AI, a shared board) show their stars but unlock nothing
+        if (stars > 0 && !this.isAssisted()) LevelProgress.record(mode.level.id, stars);
+
+        const next = isLevel ? LEVELS[mode.number] : undefined;
+        this.resultStarsEl.innerText = this.starText(stars);
+        this.resultStarsEl.setAttribute('aria-label', `${stars} of 3 stars`);
+        this.resultStarsEl.classList.toggle('hidden', stars === 0);
+        this.nextLevelBtn.classList.toggle('hidden', !next || !LevelProgress.isUnlocked(next.id));
+        this.gameOverMapBtn.classList.toggle('hidden', !isLevel);
+        return stars;
+    }
 
-        for (let r = 0; r < rows; r++) {
-            for (let c = 0; c < cols; c++) {
-                const block = document.createElement('div');
-                if (piece.shape[r][c]) {
-                    block.classList.add('piece-block');
-                    block.style.backgroundColor = piece.color;
-                }
-                wrap.appendChild(block);
-            }
-        }
-        return wrap;
+    describeGoal(goal, state = null) {
+        // With the mode state, counted goals show how far along they are
+        const progress = (count, done) => (state ? ` (${Math.min(done, count)}/${count})` : '');
+        if (goal.type === 'clearBoard') return 'Clear the board';
+        if (goal.type === 'lines') return `Clear ${goal.count} lines${progress(goal.count, state && state.linesCleared)}`;
+        if (goal.type === 'rows') return `Clear ${goal.count} rows${progress(goal.count, state && state.rowsCleared)}`;
+        if (goal.type === 'columns') return `Clear ${goal.count} columns${progress(goal.count, state && state.columnsCleared)}`;
+        if (goal.type === 'boardClears') return `Clear the board ${goal.count} times${progress(goal.count, state && state.boardClears)}`;
+        if (goal.type === 'combo') return `Reach a x${goal.count} combo`;
+        return `Reach ${goal.target} points`;
     }
 
-    handlePreview(visual) {
-        this.clearPreviews();
+    updateModeStatus() {
+        const { mode, modeState } = this.engine;
+        // Dealt pieces still to play: the tray's and the one in the hold slot
+        const inHand = this.engine.activePieces.filter(p => p !== null).length + (this.engine.held ? 1 : 0);
+
+        let text = '';
+        if (mode.type === 'timed') text = `⏱ ${this.formatDuration(modeState.timeLeft)}`;
+        if (mode.type === 'moves') text = `Pieces left: ${modeState.piecesLeft + inHand}`;
+        if (mode.type === 'puzzle') {
+            const left = mode.puzzle.pieces.length - modeState.nextPiece + inHand;
+            text = `${mode.puzzle.name}: ${this.describeGoal(mode.puzzle.goal, modeState)} · ${left} pieces left`;
+        }
+        if (mode.type === 'level') {
+            text = `Level ${mode.number}: ${this.describeGoal(mode.level.goal, modeState)}`;
+            if (mode.level.pieces) text += ` · ${modeState.piecesLeft + inHand} pieces left`;
+        }
 
-        // Logical Hit Test
-        // 1. Get visual center (or top-left)
-        const rect = visual.getBoundingClientRect();
+        this.modeStatusEl.innerText = text;
+        this.modeStatusEl.classList.toggle('hidden', mode.type === 'endless');
+        this.modeStatusEl.classList.toggle('urgent', mode.type === 'timed' && modeState.timeLeft <= 10000);
+    }
 
-        // Center point of the first block of the shape (0,0)
-        // Note: shape might start with empty space if we had rotated shapes, 
-        // but our basic shapes usually have (0,0) filled or relevant.
-        // Let's sample the center of the visual to find the nearest grid cell.
+    startClock() {
+        // Timed mode only counts down while the page is visible
+        let last = Date.now();
+        setInterval(() => {
+            const now = Date.now();
+            const elapsed = now - last;
+            last = now;
+            if (this.engine.mode.type !== 'timed' || this.engine.isGameOver || document.hidden) return;
+
+            this.engine.tick(elapsed);
+            this.saveState();
+        }, 1000);
+    }
 
-        const firstBlockX = rect.left + 10; // +10 for center of 20px block
-        const firstBlockY = rect.top + 10;
+    setupSettings() {
+        this.settingsModal = document.getElementById('settings-modal');
+        this.gridSizeSelect = document.getElementById('setting-grid-size');
+        this.pieceSetSelect = document.getElementById('setting-piece-set');
+        this.difficultySelect = document.getElementById('setting-difficulty');
+        this.rotationsSelect = document.getElementById('setting-rotations');
+        this.specialsInput = document.getElementById('setting-specials');
+        this.themeSelect = document.getElementById('setting-theme');
+        this.paletteSelect = document.getElementById('setting-palette');
+        this.patternsInput = document.getElementById('setting-patterns');
+        this.rendererSelect = document.getElementById('setting-renderer');
+        this.volumeInput = document.getElementById('setting-volume');
+        this.mutedInput = document.getElementById('setting-muted');
+        this.hapticsInput = document.getElementById('setting-haptics');
+        this.fingerOffsetInput = document.getElementById('setting-finger-offset');
+        this.sensitivityInput = document.getElementById('setting-sensitivity');
+        this.customSetInput = document.getElementById('setting-custom-set');
+        this.settingsErrorEl = document.getElementById('settings-error');
+
+        for (let size = CONFIG.MIN_GRID_SIZE; size <= CONFIG.MAX_GRID_SIZE; size++) {
+            this.gridSizeSelect.add(new Option(`${size} × ${size}`, size));
+        }
+        PIECE_SETS.forEach(set => this.pieceSetSelect.add(new Option(set.name, set.id)));
+        this.pieceSetSelect.add(new Option('Custom (JSON)', 'custom'));
+        DIFFICULTY_PROFILES.forEach(profile => this.difficultySelect.add(new Option(profile.name, profile.id)));
+        this.rotationsSelect.add(new Option('Unlimited', ''));
+        [0, 1, 2, 3, 5].forEach(n => this.rotationsSelect.add(new Option(n === 0 ? 'None' : `${n} per tray`, n)));
+        CONFIG.THEMES.forEach(theme => this.themeSelect.add(new Option(theme.name, theme.id)));
+        CONFIG.PALETTES.forEach(palette => this.paletteSelect.add(new Option(palette.name, palette.id)));
+        CONFIG.RENDERERS.forEach(renderer => this.rendererSelect.add(new Option(renderer.name, renderer.id)));
+        this.applyAppearance();
+
+        this.pieceSetSelect.addEventListener('change', () => this.toggleCustomSetInput());
+        document.getElementById('settings-btn').addEventListener('click', () => this.openSettings());
+        document.getElementById('settings-save-btn').addEventListener('click', () => this.applySettings());
+        document.getElementById('settings-cancel-btn').addEventListener('click', () => {
+            this.settingsModal.classList.add('hidden');
+        });
+    }
 
-        // However, the visual is SCALED up. so 20px is actually GridCellSize.
-        // Let's get grid metrics.
-        const gridRect = this.gridEl.getBoundingClientRect();
-        const cellSize = this.gridEl.firstElementChild.getBoundingClientRect().width;
+    applyAppearance() {
+        // Themes, palettes and patterns are pure CSS keyed off these attributes
+        const root = document.documentElement;
+        root.dataset.theme = this.settings.theme;
+        root.dataset.palette = this.settings.palette;
+        root.classList.toggle('patterns', this.settings.patterns);
+        // ...which the canvas renderer has to read back
+        this.boards.forEach(board => board.renderer.refreshStyle());
+    }
 
-        // Relative to grid
-        const relativeX = rect.left - gridRect.left;
-        const relativeY = rect.top - gridRect.top;
+    applyRenderer() {
+        this.boards.forEach(board => board.setRenderer(this.settings.renderer));
+    }
 
-        const colIndex = Math.round(relativeX / (cellSize + 4)); // 4 is gap
-        const rowIndex = Math.round(relativeY / (cellSize + 4));
+    setupProfiles() {
+        this.profileModal = document.getElementById('profile-modal');
+        this.profileListEl = document.getElementById('profile-list');
+        this.profileNameInput = document.getElementById('profile-name-input');
+        this.profileNameInput.maxLength = CONFIG.NAME_MAX_LENGTH;
 
-        // We need to know which block in the piece shape corresponds to 'rect.left/top'.
-        // For now, let's assume the dragged visual's top-left aligns with (0,0) of the shape matrix.
+        document.getElementById('switch-profile-btn').addEventListener('click', () => {
+            this.settingsModal.classList.add('hidden');
+            this.openProfiles();
+        });
+        document.getElementById('profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const profile = Profiles.create(this.profileNameInput.value);
+            this.profileNameInput.value = '';
+            this.switchProfile(profile.id, true);
+        });
+    }
 
-        if (this.isValidPlacement(colIndex, rowIndex, this.activePieces[draggedPiece.index])) {
-            this.showPreview(colIndex, rowIndex, this.activePieces[draggedPiece.index]);
-        }
+    openProfiles() {
+        const active = Profiles.active();
+        this.profileListEl.innerHTML = '';
+        Profiles.list().forEach(profile => {
+            const btn = document.createElement('button');
+            btn.classList.add('mode-choice');
+            btn.classList.toggle('active', profile.id === active.id);
+            btn.innerText = profile.name;
+            btn.addEventListener('click', () => this.switchProfile(profile.id));
+            this.profileListEl.appendChild(btn);
+        });
+        this.profileModal.classList.remove('hidden');
     }
 
-    // ... we need 'draggedPiece' globally or passed in. 
-    // Wait, 'draggedPiece' is closure scoped in setupInputHandlers.
-    // I need to refactor slightly to access it or pass it.
-    // For now I'm writing the class methods assuming access or parameters.
+    switchProfile(id, force = false) {
+        // Picking the current player again just carries on with the game in progress
+        this.profileModal.classList.add('hidden');
+        if (!force && id === Profiles.active().id) return;
+
+        Profiles.select(id);
+        this.settings = Settings.load();
+        this.sound.configure(this.settings);
+        this.applyAppearance();
+        this.applyRenderer();
+        this.engine.configure(this.engineOptions());
+        this.highScore = this.loadHighScore();
+        this.highScoreEl.innerText = this.highScore;
+        this.restartGame();
+    }
 
-    isValidPlacement(startCol, startRow, piece) {
-        if (!piece) return false;
+    setupLeaderboard() {
+        this.leaderboard = createLeaderboard();
+        this.leaderboardScope = 'all';
+        this.leaderboardListEl = document.getElementById('leaderboard-list');
+        this.leaderboardMessageEl = document.getElementById('leaderboard-message');
+        this.nameEntryEl = document.getElementById('name-entry');
+        this.nameInput = document.getElementById('name-input');
+        this.nameInput.maxLength = CONFIG.NAME_MAX_LENGTH;
+
+        this.gameOverModal.querySelectorAll('.leaderboard-tabs .tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.leaderboardScope = tab.dataset.scope;
+                this.gameOverModal.querySelectorAll('.leaderboard-tabs .tab').forEach(t => {
+                    t.classList.toggle('active', t === tab);
+                    t.setAttribute('aria-selected', t === tab);
+                });
+                this.renderLeaderboard();
+            });
+        });
+        this.nameEntryEl.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitScore();
+        });
+    }
 
-        for (let r = 0; r < piece.shape.length; r++) {
-            for (let c = 0; c < piece.shape[0].length; c++) {
-                if (piece.shape[r][c] === 1) {
-                    const targetR = startRow + r;
-                    const targetC = startCol + c;
+    showLeaderboard() {
+        // Offers name entry when the score makes the mode's board, otherwise just shows it
+        this.nameEntryEl.classList.add('hidden');
+        this.pendingEntry = null;
+        this.highlightEntry = null;
+
+        const mode = this.modeKey(this.engine.mode);
+        const score = this.engine.score;
+        this.leaderboard.top(mode)
+            .then(entries => {
+                if (!this.isAssisted() && qualifiesForLeaderboard(entries, score)) {
+                    this.pendingEntry = { profileId: Profiles.active().id, mode, score, playedAt: new Date().toISOString() };
+                    this.nameInput.value = Profiles.active().name;
+                    this.nameEntryEl.classList.remove('hidden');
+                    this.nameInput.focus();
+                    this.nameInput.select();
+                }
+                this.renderLeaderboard();
+            })
+            .catch(() => {
+                this.leaderboardMessageEl.innerText = 'Leaderboard unavailable';
+            });
+    }
 
-                    if (targetR < 0 || targetR >= CONFIG.GRID_SIZE ||
-                        targetC < 0 || targetC >= CONFIG.GRID_SIZE) {
-                        return false;
-                    }
+    submitScore() {
+        const name = this.nameInput.value.trim();
+        if (!name || !this.pendingEntry) return;
+
+        // The name sticks to the profile, so next time it is already filled in
+        Profiles.updateActive({ name });
+        const entry = { ...this.pendingEntry, name };
+        this.pendingEntry = null;
+        this.nameEntryEl.classList.add('hidden');
+        // A score on the leaderboard can't be taken back, so neither can the move that made it
+        this.resultSubmitted = true;
+        this.gameOverUndoBtn.classList.add('hidden');
+
+        this.leaderboard.submit(entry)
+            .then(saved => {
+                this.highlightEntry = saved;
+                this.renderLeaderboard();
+            })
+            .catch(() => {
+                this.leaderboardMessageEl.innerText = 'Could not save your score';
+            });
+    }
 
-                    if (this.grid[targetR][targetC] !== null) {
-                        return false;
-                    }
-                }
-            }
-        }
-        return true;
+    renderLeaderboard() {
+        const profileId = this.leaderboardScope === 'mine' ? Profiles.active().id : null;
+        this.leaderboardMessageEl.innerText = '';
+
+        return this.leaderboard.top(this.modeKey(this.engine.mode), { profileId })
+            .then(entries => {
+                this.leaderboardListEl.innerHTML = '';
+                entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    item.innerHTML = '<span class="name"></span><span class="score"></span>';
+                    item.querySelector('.name').innerText = entry.name;
+                    item.querySelector('.score').innerText = entry.score;
+                    const mine = this.highlightEntry && entry.playedAt === this.highlightEntry.playedAt &&
+                        entry.profileId === this.highlightEntry.profileId;
+                    item.classList.toggle('highlight', !!mine);
+                    this.leaderboardListEl.appendChild(item);
+                });
+                if (entries.length === 0) this.leaderboardMessageEl.innerText = 'No scores yet';
+            })
+            .catch(() => {
+                this.leaderboardMessageEl.innerText = 'Leaderboard unavailable';
+            });
     }
 
-    showPreview(col, row, piece) {
-        for (let r = 0; r < piece.shape.length; r++) {
-            for (let c = 0; c < piece.shape[0].length; c++) {
-                if (piece.shape[r][c] === 1) {
-                    const index = (row + r) * CONFIG.GRID_SIZE + (col + c);
-                    const cell = this.gridEl.children[index];
-                    if (cell) {
-                        cell.style.backgroundColor = piece.color;
-                        cell.style.opacity = '0.5';
-                    }
-                }
+    setupUpdates() {
+        // A new version waits until the player takes it. The game in progress is saved
+        // first, so after the reload it carries on where it left off.
+        this.updateBannerEl = document.getElementById('update-banner');
+        this.applyUpdate = null;
+        document.getElementById('update-btn').addEventListener('click', () => {
+            if (!this.applyUpdate) return;
+            this.saveState();
+            this.applyUpdate();
+        });
+
+        registerServiceWorker({
+            onUpdate: (apply) => {
+                this.applyUpdate = apply;
+                this.updateBannerEl.classList.remove('hidden');
+                this.announce('A new version is ready. Press Update to switch to it');
             }
-        }
+        });
     }
 
-    clearPreviews() {
-        const cells = this.gridEl.querySelectorAll('.cell');
-        cells.forEach((cell, idx) => {
-            const r = Math.floor(idx / CONFIG.GRID_SIZE);
-            const c = idx % CONFIG.GRID_SIZE;
-            if (this.grid[r][c] === null) {
-                cell.style.backgroundColor = '';
-                cell.style.opacity = '';
-            }
+    setupShare() {
+        this.shareModal = document.getElementById('share-modal');
+        this.shareCanvas = document.getElementById('share-card');
+        this.shareMessageEl = document.getElementById('share-message');
+
+        document.getElementById('share-btn').addEventListener('click', () => this.openShare());
+        document.getElementById('game-over-share-btn').addEventListener('click', () => this.openShare());
+        document.getElementById('share-link-btn').addEventListener('click', () => this.copyText(this.shareUrl(), 'Link copied'));
+        document.getElementById('share-text-btn').addEventListener('click', () => {
+            this.copyText(shareText(this.snapshot(), this.shareUrl()), 'Result copied');
+        });
+        document.getElementById('share-image-btn').addEventListener('click', () => this.copyCard());
+        document.getElementById('share-download-btn').addEventListener('click', () => this.downloadCard());
+        document.getElementById('share-close-btn').addEventListener('click', () => {
+            this.shareModal.classList.add('hidden');
         });
     }
 
-    tryPlacePiece(piece, visual) {
-        // We duplicate logic from handlePreview slightly
-        const rect = visual.getBoundingClientRect();
-        const gridRect = this.gridEl.getBoundingClientRect();
-        const cellSize = this.gridEl.firstElementChild.getBoundingClientRect().width;
-        const relativeX = rect.left - gridRect.left;
-        const relativeY = rect.top - gridRect.top;
-        const col = Math.round(relativeX / (cellSize + 4));
-        const row = Math.round(relativeY / (cellSize + 4));
+    snapshot() {
+        // Shared boards carry colors only: special blocks become plain ones
+        const { grid, activePieces, score, level } = this.engine;
+        return {
+            grid: grid.map(line => line.map(GameEngine.cellColor)),
+            pieces: activePieces.map(piece => piece && { ...piece, shape: piece.shape.map(line => line.map(v => (v ? 1 : 0))) }),
+            score,
+            level
+        };
+    }
+
+    shareUrl() {
+        // Same page with only ?board= set, so the link opens exactly this position
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('board', encodeSnapshot(this.snapshot()));
+        return url.toString();
+    }
+
+    openShare() {
+        // The card uses whatever theme and palette are showing right now
+        const style = getComputedStyle(document.documentElement);
+        const read = name => style.getPropertyValue(name).trim();
+        const colors = Array.from({ length: CONFIG.COLOR_COUNT }, (_, i) => read(`--block-${i}`));
+        drawResultCard(this.shareCanvas, this.snapshot(), colors, {
+            background: read('--bg-color'),
+            board: read('--grid-bg'),
+            empty: read('--cell-empty'),
+            text: read('--text-primary'),
+            accent: read('--accent')
+        });
+        this.shareMessageEl.innerText = '';
+        this.shareModal.classList.remove('hidden');
+    }
 
-        if (this.isValidPlacement(col, row, piece)) {
-            this.placePiece(col, row, piece);
-            return true;
+    copyText(text, done) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text)
+                .then(() => { this.shareMessageEl.innerText = done; })
+                .catch(() => { this.shareMessageEl.innerText = 'Could not copy'; });
+        } else {
+            window.prompt('Copy this:', text);
         }
-        return false;
-    }
-
-    placePiece(col, row, piece) {
-        for (let r = 0; r < piece.shape.length; r++) {
-            for (let c = 0; c < piece.shape[0].length; c++) {
-                if (piece.shape[r][c] === 1) {
-                    this.grid[row + r][col + c] = piece.color;
-                    const index = (row + r) * CONFIG.GRID_SIZE + (col + c);
-                    const cell = this.gridEl.children[index];
-                    cell.style.backgroundColor = piece.color;
-                    cell.classList.add('filled');
-                }
-            }
+    }
+
+    copyCard() {
+        // Image clipboard support is patchy, so fall back to a download
+        if (!navigator.clipboard || typeof ClipboardItem === 'undefined') {
+            this.downloadCard();
+            return;
         }
+        this.shareCanvas.toBlob(blob => {
+            navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })])
+                .then(() => { this.shareMessageEl.innerText = 'Image copied'; })
+                .catch(() => this.downloadCard());
+        }, 'image/png');
+    }
 
-        this.checkForLines();
+    downloadCard() {
+        const link = document.createElement('a');
+        link.href = this.shareCanvas.toDataURL('image/png');
+        link.download = `block-blast-${this.engine.score}.png`;
+        link.click();
+        this.shareMessageEl.innerText = 'Image saved';
     }
 
-    checkForLines() {
-        const rowsToClear = [];
-        const colsToClear = [];
+    toggleCustomSetInput() {
+        const custom = this.pieceSetSelect.value === 'custom';
+        this.customSetInput.closest('.setting').classList.toggle('hidden', !custom);
+    }
 
-        // Check Rows
-        for (let r = 0; r < CONFIG.GRID_SIZE; r++) {
-            if (this.grid[r].every(cell => cell !== null)) {
-                rowsToClear.push(r);
-            }
-        }
+    openSettings() {
+        document.getElementById('settings-player-name').innerText = Profiles.active().name;
+        this.gridSizeSelect.value = this.settings.gridSize;
+        this.pieceSetSelect.value = this.settings.pieceSet;
+        this.difficultySelect.value = this.settings.difficulty;
+        this.rotationsSelect.value = this.settings.rotationLimit === null ? '' : this.settings.rotationLimit;
+        this.specialsInput.checked = this.settings.specialBlocks;
+        this.themeSelect.value = this.settings.theme;
+        this.paletteSelect.value = this.settings.palette;
+        this.patternsInput.checked = this.settings.patterns;
+        this.rendererSelect.value = this.settings.renderer;
+        this.volumeInput.value = Math.round(this.settings.volume * 100);
+        this.mutedInput.checked = this.settings.muted;
+        this.hapticsInput.checked = this.settings.haptics;
+        this.fingerOffsetInput.value = this.settings.fingerOffset;
+        this.sensitivityInput.value = this.settings.dragSensitivity;
+        this.customSetInput.value = this.settings.customPieceSet || '';
+        this.settingsErrorEl.innerText = '';
+        this.toggleCustomSetInput();
+        this.settingsModal.classList.remove('hidden');
+    }
 
-        // Check Cols
-        for (let c = 0; c < CONFIG.GRID_SIZE; c++) {
-            let full = true;
-            for (let r = 0; r < CONFIG.GRID_SIZE; r++) {
-                if (this.grid[r][c] === null) {
-                    full = false;
-                    break;
-                }
+    applySettings() {
+        const settings = {
+            ...this.settings,
+            gridSize: parseInt(this.gridSizeSelect.value),
+            pieceSet: this.pieceSetSelect.value,
+            difficulty: this.difficultySelect.value,
+            rotationLimit: this.rotationsSelect.value === '' ? null : parseInt(this.rotationsSelect.value),
+            specialBlocks: this.specialsInput.checked,
+            theme: this.themeSelect.value,
+            palette: this.paletteSelect.value,
+            patterns: this.patternsInput.checked,
+            renderer: this.rendererSelect.value,
+            volume: parseInt(this.volumeInput.value) / 100,
+            muted: this.mutedInput.checked,
+            haptics: this.hapticsInput.checked,
+            fingerOffset: parseInt(this.fingerOffsetInput.value),
+            dragSensitivity: parseFloat(this.sensitivityInput.value),
+            customPieceSet: this.customSetInput.value.trim() || null
+        };
+
+        if (settings.pieceSet === 'custom') {
+            try {
+                parsePieceSet(settings.customPieceSet);
+            } catch (e) {
+                this.settingsErrorEl.innerText = e.message;
+                return;
             }
-            if (full) colsToClear.push(c);
         }
 
-        if (rowsToClear.length > 0 || colsToClear.length > 0) {
-            this.clearLines(rowsToClear, colsToClear);
+        // Only settings that change the rules start a new game; sound applies right away
+        const rulesChanged = ['gridSize', 'pieceSet', 'customPieceSet', 'difficulty', 'rotationLimit', 'specialBlocks']
+            .some(key => settings[key] !== this.settings[key]);
+
+        this.settings = settings;
+        Settings.save(settings);
+        this.settingsModal.classList.add('hidden');
+        this.sound.configure(settings);
+        this.applyAppearance();
+        this.applyRenderer();
+
+        if (rulesChanged) {
+            this.engine.configure(this.engineOptions());
+            this.restartGame();
         }
     }
 
-    clearLines(rows, cols) {
-        // Visual clear
-        const cellsToClear = new Set();
+    setupStats() {
+        this.statsModal = document.getElementById('stats-modal');
+        this.statsMessageEl = document.getElementById('stats-message');
 
-        rows.forEach(r => {
-            for (let c = 0; c < CONFIG.GRID_SIZE; c++) {
-                cellsToClear.add(`${r},${c}`);
-            }
+        document.getElementById('stats-btn').addEventListener('click', () => this.openStats());
+        document.getElementById('game-over-stats-btn').addEventListener('click', () => this.openStats());
+        document.getElementById('stats-close-btn').addEventListener('click', () => {
+            this.statsModal.classList.add('hidden');
+        });
+        document.getElementById('stats-export-btn').addEventListener('click', () => this.exportStats());
+        document.getElementById('stats-import-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importStats(e.target.files[0]);
+            e.target.value = '';
         });
+    }
 
-        cols.forEach(c => {
-            for (let r = 0; r < CONFIG.GRID_SIZE; r++) {
-                cellsToClear.add(`${r},${c}`);
-            }
+    recordGame({ score, level, stats }) {
+        this.recordedGame = null;
+        if (this.isAssisted()) return;
+
+        this.recordedGame = {
+            playedAt: new Date().toISOString(),
+            score,
+            level,
+            duration: stats.duration,
+            piecesPlaced: stats.piecesPlaced,
+            linesCleared: stats.linesCleared,
+            bestClear: stats.bestClear,
+            seed: this.engine.seed,
+            mode: this.modeKey(this.engine.mode)
+        };
+        GameHistory.add(this.recordedGame).catch(() => {
+            // History is a nice-to-have; never let storage errors break the game
         });
+    }
+
+    openStats() {
+        this.statsMessageEl.innerText = '';
+        this.statsModal.classList.remove('hidden');
+        return GameHistory.getAll()
+            .then(records => this.renderStats(summarizeHistory(records)))
+            .catch(() => {
+                this.statsMessageEl.innerText = 'Could not read game history';
+            });
+    }
 
-        cellsToClear.forEach(key => {
-            const [r, c] = key.split(',').map(Number);
-            const index = r * CONFIG.GRID_SIZE + c;
-            const cell = this.gridEl.children[index];
+    renderStats(summary) {
+        const formatNumber = n => Math.round(n).toLocaleString();
+
+        const summaryEl = document.getElementById('stats-summary');
+        summaryEl.innerHTML = '';
+        [
+            ['Games', summary.count],
+            ['Avg score', formatNumber(summary.avgScore)],
+            ['Avg level', summary.avgLevel.toFixed(1)],
+            ['Avg time', this.formatDuration(summary.avgDuration)],
+            ['Avg pieces', formatNumber(summary.avgPieces)],
+            ['Avg lines', formatNumber(summary.avgLines)],
+            ['Best clear', `${summary.bestClear} lines`]
+        ].forEach(([label, value]) => {
+            const box = document.createElement('div');
+            box.classList.add('score-box');
+            box.innerHTML = `<span class="label">${label}</span><span class="value">${value}</span>`;
+            summaryEl.appendChild(box);
+        });
 
-            // Add animation class
-            cell.classList.add('cleared');
+        const histogramEl = document.getElementById('stats-histogram');
+        histogramEl.innerHTML = '';
+        const tallest = Math.max(1, ...summary.histogram.map(b => b.count));
+        summary.histogram.forEach(bucket => {
+            const bar = document.createElement('div');
+            bar.classList.add('bar');
+            bar.style.height = `${(bucket.count / tallest) * 100}%`;
+            bar.title = `${bucket.from}–${bucket.to}: ${bucket.count} games`;
+            histogramEl.appendChild(bar);
+        });
 
-            // Logic clear
-            this.grid[r][c] = null;
+        const topEl = document.getElementById('stats-top');
+        topEl.innerHTML = '';
+        summary.top.forEach((game, i) => {
+            const row = document.createElement('tr');
+            const date = game.playedAt ? new Date(game.playedAt).toLocaleDateString() : '';
+            [i + 1, game.score, game.level, game.linesCleared, this.formatDuration(game.duration || 0), date]
+                .forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.innerText = value;
+                    row.appendChild(cell);
+                });
+            topEl.appendChild(row);
         });
+    }
 
-        // Calculate Score with Multiplier
-        const lineCount = rows.length + cols.length;
-        // Base: 100 per line.
-        // Combo Multiplier: 1 line = x1, 2 lines = x1.5, 3 lines = x2, 4+ = x3
-        let multiplier = 1;
-        if (lineCount === 2) multiplier = 1.5;
-        if (lineCount === 3) multiplier = 2;
-        if (lineCount >= 4) multiplier = 3;
-
-        const points = Math.round((lineCount * this.pxPerLine) * multiplier);
-        this.updateScore(this.score + points);
-
-        // Show floating text at the "center" of the clear
-        // We pick the first cleared cell to spawn text for simplicity, or center of board
-        if (lineCount > 0) {
-            this.showFloatingText(`+${points}`, rows, cols);
-        }
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
 
-        // Cleanup DOM after animation
-        setTimeout(() => {
-            cellsToClear.forEach(key => {
-                const [r, c] = key.split(',').map(Number);
-                const index = r * CONFIG.GRID_SIZE + c;
-                const cell = this.gridEl.children[index];
-                cell.className = 'cell'; // reset
-                cell.style.backgroundColor = '';
+    exportStats() {
+        GameHistory.exportJSON().then(text => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            link.download = 'block-blast-history.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }).catch(() => {
+            this.statsMessageEl.innerText = 'Could not read game history';
+        });
+    }
+
+    importStats(file) {
+        file.text()
+            .then(text => GameHistory.importJSON(text))
+            .then(added => {
+                this.openStats();
+                this.statsMessageEl.innerText = `Imported ${added} ${added === 1 ? 'game' : 'games'}`;
+            })
+            .catch(() => {
+                this.statsMessageEl.innerText = 'That file is not a Block Blast history export';
             });
-        }, 300);
     }
 
-    showFloatingText(text, rows, cols) {
-        // Find a good position: Center of the cleared lines?
-        // Let's just pick the center of the grid for big combos, or the row/col index
+    saveState() {
+        // A finished game is not worth resuming, and versus matches never are
+        if (this.engine.isGameOver || this.match) {
+            this.clearSavedState();
+            return;
+        }
+        // Whether the AI played goes with the game, or a reload would make it count again
+        localStorage.setItem(CONFIG.SAVE_KEY, JSON.stringify({ ...this.engine.serialize(), aiPlayed: this.aiPlayed }));
+    }
 
-        let targetIndex;
-        if (rows.length > 0) {
-            const r = rows[Math.floor(rows.length / 2)];
-            const c = 4; // Center col
-            targetIndex = r * CONFIG.GRID_SIZE + c;
-        } else {
-            const c = cols[Math.floor(cols.length / 2)];
-            const r = 4; // Center row
-            targetIndex = r * CONFIG.GRID_SIZE + c;
+    loadState(seed) {
+        // Returns false when there is no save, or it was written by an incompatible build
+        let state;
+        try {
+            state = JSON.parse(localStorage.getItem(CONFIG.SAVE_KEY));
+        } catch (e) {
+            return false;
+        }
+
+        // Opening a link with a different seed starts that game instead of resuming
+        if (state && seed !== undefined && state.seed !== seed) return false;
+        // Saves from another mode (or from before modes existed) count as endless
+        if (state && this.modeKey(state.mode || CONFIG.MODES.endless) !== this.modeKey(this.engine.mode)) return false;
+        if (!this.engine.restore(state)) return false;
+        this.aiPlayed = state.aiPlayed === true;
+        return true;
+    }
+
+    getSharedBoardFromUrl() {
+        // ?board=... opens a position someone shared (see share.js)
+        const text = new URLSearchParams(window.location.search).get('board');
+        if (!text) return null;
+        try {
+            return decodeSnapshot(text);
+        } catch (e) {
+            this.announce('That shared board link is broken');
+            return null;
+        }
+    }
+
+    startSharedBoard(shared, seed) {
+        // Returns false when the position can't be played, or the player would rather keep
+        // their game in progress.
+        // Either way the parameter goes, so a reload resumes the saved game instead of asking again.
+        const url = new URL(window.location.href);
+        url.searchParams.delete('board');
+        window.history.replaceState(null, '', url);
+        if (localStorage.getItem(CONFIG.SAVE_KEY) !== null &&
+            !window.confirm('Open the shared board? It replaces your game in progress.')) return false;
+
+        // Shared boards always play as endless on the board size they were shared from
+        this.engine.configure({ ...this.engineOptions(), gridSize: shared.grid.length, mode: CONFIG.MODES.endless });
+        if (!this.engine.startFrom(shared, seed)) {
+            // Back to the player's own settings, and to whatever they were playing
+            this.engine.configure(this.engineOptions());
+            this.announce('That shared board link is broken');
+            return false;
         }
+        this.highScore = this.loadHighScore();
+        this.highScoreEl.innerText = this.highScore;
+        // Saved straight away: the old save is gone now, not at the first move
+        this.saveState();
+        return true;
+    }
 
-        const cell = this.gridEl.children[targetIndex];
-        const rect = cell.getBoundingClientRect();
+    getSeedFromUrl() {
+        // ?seed=abc plays a shared game, ?seed=daily plays today's daily game
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (seed === 'daily') return SeededRandom.dailySeed();
+        return seed || undefined;
+    }
 
-        const floatEl = document.createElement('div');
-        floatEl.classList.add('floating-text');
-        floatEl.innerText = text;
-        floatEl.style.left = rect.left + 'px';
-        floatEl.style.top = rect.top + 'px';
+    copyReplay() {
+        // Replays are plain JSON, small enough to paste into a bug report
+        const text = JSON.stringify(this.engine.getReplay());
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text)
+                .then(() => { this.copyReplayBtn.innerText = 'COPIED!'; })
+                // A denied clipboard write still leaves the player a way to copy it by hand
+                .catch(() => window.prompt('Copy this replay:', text));
+        } else {
+            window.prompt('Copy this replay:', text);
+        }
+    }
 
-        document.body.appendChild(floatEl);
+    clearSavedState() {
+        localStorage.removeItem(CONFIG.SAVE_KEY);
+    }
 
-        setTimeout(() => floatEl.remove(), 1000);
+    announce(text) {
+        // Screen readers only pick up changes, so clear first to repeat identical messages
+        this.announcerEl.textContent = '';
+        setTimeout(() => {
+            this.announcerEl.textContent = text;
+        }, 50);
     }
 
-    checkGameOver() {
-        // If no pieces left, obviously not game over (we spawn more)
-        // But the check handles non-null pieces.
+    setupKeyboardShortcuts() {
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || this.isTyping(e)) return;
+            const key = e.key.toLowerCase();
+
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
 
-        let canPlaceAny = false;
+    setupKeyboardControls() {
+        // Keyboard-only play:
+        // 1-3 (or Tab onto a piece) selects, arrows move the cursor, Q/E rotate,
+        // C holds, Enter places, Escape cancels. In split-screen the keys play player 1's board.
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || this.engine.isGameOver || !this.isPlayingKey(e)) return;
+            const board = this.board;
 
-        for (let i = 0; i < this.activePieces.length; i++) {
-            const piece = this.activePieces[i];
-            if (piece === null) continue;
+            const moves = {
+                ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1]
+            };
 
-            // Brute force check all positions
-            for (let r = 0; r < CONFIG.GRID_SIZE; r++) {
-                for (let c = 0; c < CONFIG.GRID_SIZE; c++) {
-                    if (this.isValidPlacement(c, r, piece)) {
-                        canPlaceAny = true;
-                        break;
-                    }
-                }
-                if (canPlaceAny) break;
+            if (['1', '2', '3'].includes(e.key)) {
+                board.selectPiece(parseInt(e.key) - 1);
+            } else if (moves[e.key] && board.cursor.pieceIndex !== null) {
+                e.preventDefault();
+                board.moveCursor(moves[e.key][0], moves[e.key][1]);
+            } else if (e.key === 'q' || e.key === 'Q' || e.key === 'e' || e.key === 'E') {
+                // Turns the selected piece, or the whole tray when none is selected
+                const clockwise = e.key.toLowerCase() === 'e';
+                if (board.cursor.pieceIndex !== null) board.rotatePiece(board.cursor.pieceIndex, clockwise);
+                else board.rotateAllPieces(clockwise);
+            } else if (e.key === 'c' || e.key === 'C') {
+                board.useHoldSlot();
+            } else if (e.key === 'Enter' && board.cursor.pieceIndex !== null) {
+                e.preventDefault();
+                board.placeAtCursor();
+            } else if (e.key === 'h' || e.key === 'H') {
+                board.showHint();
+            } else if (e.key === 'Escape') {
+                board.selectPiece(null);
             }
-            if (canPlaceAny) break;
+        });
+    }
+
+    isPlayingKey(e) {
+        // Game keys only act with no dialog open and focus on player 1's board or tray,
+        // or on nothing at all. Anywhere else they belong to whatever has focus, and
+        // Enter or Space on a focused button (the hold slot too) always press it.
+        if (document.querySelector('.modal:not(.hidden)')) return false;
+        const target = e.target;
+        if (target === document.body || target === document.documentElement) return true;
+        if (!(target instanceof Element) || !this.board.root.contains(target) ||
+            !target.closest('.grid-board, .tray-row')) return false;
+        return !(target.closest('button') && (e.key === 'Enter' || e.key === ' '));
+    }
+
+    isTyping(e) {
+        // Leave keys alone while the player is filling in a form field
+        return e.target instanceof Element && !!e.target.closest('input, textarea, select');
+    }
+
+    undo() {
+        // Taking back a move would unsettle a match's turns and scores
+        if (this.match) return;
+        const reopening = this.engine.isGameOver;
+        if (reopening && this.resultSubmitted) return;
+        if (this.engine.undo()) {
+            if (reopening) this.reopenGame();
+            this.board.renderGrid();
+            this.saveState();
         }
+    }
 
-        if (!canPlaceAny && this.activePieces.some(p => p !== null)) {
-            this.triggerGameOver();
+    reopenGame() {
+        // Undoing the drop that ended the game takes back its result as well
+        this.gameOverModal.classList.add('hidden');
+        this.pendingEntry = null;
+        if (this.recordedGame) {
+            GameHistory.remove(this.recordedGame).catch(() => {});
+            this.recordedGame = null;
         }
+        this.announce('Last move undone');
     }
 
-    triggerGameOver() {
-        this.finalScoreEl.innerText = this.score;
+    redo() {
+        if (this.match) return;
+        if (this.engine.redo()) {
+            this.board.renderGrid();
+            this.saveState();
+        }
+    }
+
+    updateHistoryButtons({ canUndo, canRedo, undosLeft }) {
+        this.undoBtn.disabled = !canUndo || !!this.match;
+        this.redoBtn.disabled = !canRedo || !!this.match;
+        this.undoBtn.title = undosLeft === Infinity
+            ? 'Undo (Ctrl+Z)'
+            : `Undo (Ctrl+Z) - ${undosLeft} left`;
+    }
+
+    updateHintButton({ hintsLeft }) {
+        this.hintsLeftEl.innerText = hintsLeft === Infinity ? '∞' : hintsLeft;
+        this.hintBtn.disabled = hintsLeft <= 0;
+    }
+
+    triggerGameOver(result) {
+        const title = resultTitle(this.engine.mode, result);
+
+        this.clearSavedState();
+        this.recordGame(result);
+        this.resultSubmitted = false;
+        this.gameOverUndoBtn.classList.toggle('hidden', !this.engine.canUndo());
+        this.sound.play(result.won ? 'win' : 'gameOver');
+        this.gameOverTitleEl.innerText = title;
+        this.finalScoreEl.innerText = this.engine.score;
+        this.finalSeedEl.innerText = this.engine.seed;
+        this.copyReplayBtn.innerText = 'COPY REPLAY';
+        this.setResultExtras(true);
+        const stars = this.showLevelResult(result);
+        const rating = stars > 0 ? `, ${stars} of 3 stars` : '';
+        this.announce(`${title}. Final score ${this.engine.score}${rating}`);
         this.gameOverModal.classList.remove('hidden');
+        this.showLeaderboard();
     }
 
-    updateScore(newScore) {
-        this.score = newScore;
-        this.scoreEl.innerText = this.score;
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
+    updateScore(score) {
+        this.scoreEl.innerText = score;
+        // Assisted scores (AI moves, shared boards) don't count as bests
+        if (score > this.highScore && !this.isAssisted()) {
+            this.highScore = score;
             this.highScoreEl.innerText = this.highScore;
-            localStorage.setItem('blockBlastHighScore', this.highScore);
-        }
-
-        // Check Level Up
-        // Level up every 1000 points?
-        // Level 1 -> 2 at 500
-        // Level 2 -> 3 at 1500 ...
-        const requiredScore = this.level * 500;
-        if (this.score >= requiredScore) {
-            this.updateLevel(this.level + 1);
+            localStorage.setItem(this.highScoreKey(), this.highScore);
         }
     }
 
     updateLevel(lvl) {
+        // Levels only go up within a game; a reset back to 1 stays quiet
+        if (this.level !== null && lvl > this.level) this.sound.play('levelUp');
         this.level = lvl;
-        this.levelEl.innerText = this.level;
-    }
-
-    rotateAllPieces(clockwise) {
-        // Rotate all currently active pieces in the tray
-        this.activePieces.forEach((piece, idx) => {
-            if (piece) {
-                // Rotate the shape matrix
-                piece.shape = this.rotateMatrix(piece.shape, clockwise);
-
-                // Update specific visual
-                const container = this.dragContainerEl.querySelector(`.piece-container[data-index="${idx}"]`);
-                if (container) {
-                    container.innerHTML = '';
-                    const visual = this.createPieceVisual(piece);
-                    container.appendChild(visual);
-                }
-            }
-        });
-        // Re-check game over after rotation (maybe rotation saved us?)
-        this.checkGameOver();
+        this.levelEl.innerText = lvl;
     }
 
-    rotateMatrix(matrix, clockwise) {
-        const rows = matrix.length;
-        const cols = matrix[0].length;
+    updateCombo({ combo, dryDrops }) {
+        this.comboEl.innerText = `x${combo}`;
+        this.comboBoxEl.classList.toggle('active', combo > 1);
+
+        // One pip per dry drop the streak can still survive
+        const left = combo > 0 ? CONFIG.COMBO_GRACE_DROPS - dryDrops : 0;
+        this.comboMeterEl.innerHTML = '';
+        for (let i = 0; i < CONFIG.COMBO_GRACE_DROPS; i++) {
+            const pip = document.createElement('span');
+            pip.classList.add('pip');
+            if (i < left) pip.classList.add('on');
+            this.comboMeterEl.appendChild(pip);
+        }
+    }
 
-        // New matrix dimensions
-        const newRows = cols;
-        const newCols = rows;
+    updateRotations({ rotationsLeft }) {
+        // Unlimited is the usual case, so the badge only shows when there is a budget
+        this.rotationsLeftEl.classList.toggle('hidden', rotationsLeft === Infinity);
+        this.rotationsLeftEl.innerText = rotationsLeft;
+        this.rotateCwBtn.disabled = rotationsLeft <= 0;
+        this.rotateCcwBtn.disabled = rotationsLeft <= 0;
+    }
 
-        const newMatrix = Array(newRows).fill().map(() => Array(newCols).fill(0));
+    isAssisted() {
+        // Games the AI touched, that began from someone else's shared board, or versus
+        // matches: none of them count towards bests, the leaderboard or stats
+        return this.aiPlayed || !!this.engine.start || this.match !== null;
+    }
 
-        for (let r = 0; r < rows; r++) {
-            for (let c = 0; c < cols; c++) {
-                if (clockwise) {
-                    // Clockwise: (r, c) -> (c, rows - 1 - r)
-                    newMatrix[c][rows - 1 - r] = matrix[r][c];
-                } else {
-                    // Counter-Clockwise: (r, c) -> (cols - 1 - c, r)
-                    newMatrix[cols - 1 - c][r] = matrix[r][c];
-                }
-            }
+    toggleAutoplay() {
+        if (this.autoplayTimer) {
+            this.stopAutoplay();
+            return;
         }
-        return newMatrix;
+        if (this.engine.isGameOver) return;
+        if (this.match) {
+            this.announce('The AI sits out versus matches');
+            return;
+        }
+
+        this.board.clearHint();
+        this.board.selectPiece(null);
+        this.aiBtn.classList.add('active');
+        this.aiBtn.setAttribute('aria-pressed', 'true');
+        this.announce('AI is playing. Press the AI button again or grab a piece to take over');
+
+        this.autoplayTimer = setInterval(() => {
+            this.aiPlayed = true;
+            if (!playAiMove(this.engine, 'lookahead')) {
+                this.stopAutoplay();
+                return;
+            }
+            this.saveState();
+        }, CONFIG.AI_MOVE_MS);
+    }
+
+    stopAutoplay() {
+        if (!this.autoplayTimer) return;
+
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.aiBtn.classList.remove('active');
+        this.aiBtn.setAttribute('aria-pressed', 'false');
     }
 }
 
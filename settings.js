@@ -0,0 +1,43 @@
+/**
+ * Player settings
+ * One JSON blob per profile (see profiles.js), merged over defaults so new
+ * settings can be added without invalidating what players already saved.
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+    const { Profiles } = typeof module !== 'undefined' ? require('./profiles.js') : window;
+
+    const DEFAULT_SETTINGS = {
+        gridSize: CONFIG.GRID_SIZE,
+        pieceSet: 'classic',
+        customPieceSet: null, // Raw JSON text, kept so the player can edit it later
+        mode: 'endless', // A key of CONFIG.MODES, or 'puzzle:<id>', 'level:<id>' or 'versus:<type>'
+        difficulty: 'normal',
+        rotationLimit: null, // Rotations per tray, null for unlimited
+        specialBlocks: CONFIG.SPECIAL_BLOCKS, // Bombs, stones and multiplier tiles
+        volume: 0.6, // 0-1
+        muted: false,
+        haptics: true, // Vibrate on supported devices
+        fingerOffset: 80, // px a touch-dragged piece floats above the finger
+        dragSensitivity: 1, // Piece movement per pointer movement
+        theme: 'dark', // See CONFIG.THEMES
+        palette: 'classic', // See CONFIG.PALETTES
+        patterns: false, // Draw a glyph on each block so colors aren't the only cue
+        renderer: 'dom' // See CONFIG.RENDERERS
+    };
+
+    const Settings = {
+        load() {
+            // Settings of the active profile
+            return { ...DEFAULT_SETTINGS, ...Profiles.active().settings };
+        },
+
+        save(settings) {
+            Profiles.updateActive({ settings });
+        }
+    };
+
+    exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+    exports.Settings = Settings;
+})(typeof module !== 'undefined' ? module.exports : window);
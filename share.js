@@ -0,0 +1,156 @@
+/**
+ * Sharing
+ * A board snapshot (grid, tray, score, level) packs into a short URL-safe string for
+ * ?board= links, and a finished board renders to an emoji grid or a PNG result card.
+ * resultTitle() words how a game ended, for the game-over dialog.
+ *
+ * Snapshot format, fields joined by '.':
+ *   version . size (base 36) . cells . score (base 36) . level (base 36) . pieces
+ * cells:  two cells per character (7 states each: a color index or 6 for empty)
+ * pieces: '*'-separated; 'x' for a used slot, otherwise rows, cols (base 36), color,
+ *         then the shape's cells as bits, six per character
+ * Special blocks aren't part of the format: snapshots hold plain colors and 0/1 shapes.
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+
+    const VERSION = '1';
+    const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const EMPTY = 6;
+    // Nearest emoji squares to the classic palette (there is no cyan square)
+    const EMOJI = ['🟥', '🟩', '🟦', '🟪', '🟧', '🟨'];
+    const EMOJI_EMPTY = '⬛';
+
+    function packBits(bits) {
+        let out = '';
+        for (let i = 0; i < bits.length; i += 6) {
+            const chunk = bits.slice(i, i + 6).padEnd(6, '0');
+            out += ALPHABET[parseInt(chunk, 2)];
+        }
+        return out;
+    }
+
+    function unpackBits(text, count) {
+        const bits = [...text].map(ch => {
+            const value = ALPHABET.indexOf(ch);
+            if (value < 0) throw new Error('Not a valid board snapshot');
+            return value.toString(2).padStart(6, '0');
+        }).join('');
+        return bits.slice(0, count);
+    }
+
+    function encodeSnapshot({ grid, pieces, score, level }) {
+        const cells = grid.flat().map(cell => cell === null ? EMPTY : cell);
+        if (cells.length % 2) cells.push(EMPTY);
+        let packedCells = '';
+        for (let i = 0; i < cells.length; i += 2) packedCells += ALPHABET[cells[i] * 7 + cells[i + 1]];
+
+        const packedPieces = pieces.map(piece => {
+            if (!piece) return 'x';
+            const rows = piece.shape.length;
+            const cols = piece.shape[0].length;
+            return rows.toString(36) + cols.toString(36) + piece.color + packBits(piece.shape.flat().join(''));
+        }).join('*');
+
+        return [VERSION, grid.length.toString(36), packedCells, score.toString(36), level.toString(36), packedPieces].join('.');
+    }
+
+    function decodeSnapshot(text) {
+        // Throws on anything that isn't a snapshot this version wrote
+        const invalid = () => new Error('Not a valid board snapshot');
+        const parts = String(text).split('.');
+        if (parts.length !== 6 || parts[0] !== VERSION) throw invalid();
+
+        const size = parseInt(parts[1], 36);
+        if (!(size >= CONFIG.MIN_GRID_SIZE && size <= CONFIG.MAX_GRID_SIZE)) throw invalid();
+
+        const cells = [];
+        [...parts[2]].forEach(ch => {
+            const value = ALPHABET.indexOf(ch);
+            if (value < 0 || value >= 49) throw invalid();
+            cells.push(Math.floor(value / 7), value % 7);
+        });
+        if (cells.length < size * size) throw invalid();
+        const grid = Array.from({ length: size }, (_, r) =>
+            cells.slice(r * size, (r + 1) * size).map(v => v === EMPTY ? null : v));
+
+        const pieces = parts[5].split('*').map(part => {
+            if (part === 'x') return null;
+            const rows = parseInt(part[0], 36);
+            const cols = parseInt(part[1], 36);
+            const color = parseInt(part[2], 10);
+            if (!(rows > 0 && cols > 0 && color >= 0 && color < EMPTY)) throw invalid();
+            const bits = unpackBits(part.slice(3), rows * cols);
+            if (bits.length !== rows * cols || !bits.includes('1')) throw invalid();
+            const shape = Array.from({ length: rows }, (_, r) => [...bits.slice(r * cols, (r + 1) * cols)].map(Number));
+            return { shape, color };
+        });
+        // A tray holds at most TRAY_SIZE pieces, and each must fit on the board
+        if (pieces.length > CONFIG.TRAY_SIZE) throw invalid();
+        if (pieces.some(p => p && (p.shape.length > size || p.shape[0].length > size))) throw invalid();
+
+        const score = parseInt(parts[3], 36);
+        const level = parseInt(parts[4], 36);
+        if (!(score >= 0) || !(level >= 1)) throw invalid();
+        return { grid, pieces, score, level };
+    }
+
+    function resultTitle(mode, { reason, won }) {
+        // A map level is either complete or failed, however it ended
+        if (mode.type === 'level') return won ? 'LEVEL COMPLETE!' : 'LEVEL FAILED';
+        const titles = {
+            noMoves: 'GAME OVER',
+            timeUp: "TIME'S UP",
+            outOfPieces: mode.type === 'puzzle' ? 'PUZZLE FAILED' : 'OUT OF PIECES',
+            solved: 'PUZZLE SOLVED!'
+        };
+        return titles[reason] || titles.noMoves;
+    }
+
+    function emojiGrid(grid) {
+        return grid.map(line => line.map(cell => cell === null ? EMOJI_EMPTY : EMOJI[cell % EMOJI.length]).join('')).join('\n');
+    }
+
+    function shareText({ grid, score, level }, url) {
+        return [`Block Blast · ${score} points · level ${level}`, emojiGrid(grid), url].filter(Boolean).join('\n');
+    }
+
+    function drawResultCard(canvas, { grid, score, level }, colors, theme) {
+        // colors: CSS color per color index; theme: { background, board, empty, text, accent }
+        const size = grid.length;
+        const cell = 40;
+        const gap = 4;
+        const boardPx = size * (cell + gap) + gap;
+        const pad = 30;
+        canvas.width = boardPx + pad * 2;
+        canvas.height = boardPx + pad * 2 + 110;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = theme.text;
+        ctx.font = '900 32px Outfit, sans-serif';
+        ctx.fillText('BLOCK BLAST', canvas.width / 2, pad + 30);
+        ctx.fillStyle = theme.accent;
+        ctx.font = '700 22px Outfit, sans-serif';
+        ctx.fillText(`${score} points · level ${level}`, canvas.width / 2, pad + 65);
+
+        const top = pad + 90;
+        ctx.fillStyle = theme.board;
+        ctx.fillRect(pad, top, boardPx, boardPx);
+        grid.forEach((line, r) => line.forEach((value, c) => {
+            ctx.fillStyle = value === null ? theme.empty : colors[value];
+            ctx.fillRect(pad + gap + c * (cell + gap), top + gap + r * (cell + gap), cell, cell);
+        }));
+        return canvas;
+    }
+
+    exports.encodeSnapshot = encodeSnapshot;
+    exports.decodeSnapshot = decodeSnapshot;
+    exports.shareText = shareText;
+    exports.resultTitle = resultTitle;
+    exports.drawResultCard = drawResultCard;
+})(typeof module !== 'undefined' ? module.exports : window);
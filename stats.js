@@ -0,0 +1,155 @@
+/**
+ * Game history
+ * Every finished game is stored as one record in IndexedDB (localStorage when
+ * IndexedDB is unavailable, e.g. some private browsing modes).
+ * summarize() is pure so the dashboard numbers can be checked under Node.
+ */
+
+(function (exports) {
+    const DB_NAME = 'blockBlast';
+    const STORE = 'games';
+    const FALLBACK_KEY = 'blockBlastHistory';
+
+    const RECORD_FIELDS = ['playedAt', 'score', 'level', 'duration', 'piecesPlaced', 'linesCleared', 'bestClear', 'seed', 'mode'];
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function withStore(mode, fn) {
+        return openDb().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const result = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        }));
+    }
+
+    function recordKey(record) {
+        // Identifies one game across imports and removals
+        return `${record.playedAt}|${record.score}|${record.seed}`;
+    }
+
+    function readFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(FALLBACK_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function normalizeRecord(record) {
+        // Keeps only known fields, so imported files can't smuggle in anything else
+        if (!record || typeof record.score !== 'number') return null;
+        const clean = {};
+        RECORD_FIELDS.forEach(field => {
+            if (record[field] !== undefined) clean[field] = record[field];
+        });
+        return clean;
+    }
+
+    const GameHistory = {
+        hasIndexedDb() {
+            return typeof indexedDB !== 'undefined';
+        },
+
+        add(record) {
+            const clean = normalizeRecord(record);
+            if (!clean) return Promise.resolve();
+
+            if (!this.hasIndexedDb()) {
+                localStorage.setItem(FALLBACK_KEY, JSON.stringify([...readFallback(), clean]));
+                return Promise.resolve();
+            }
+            return withStore('readwrite', store => store.add(clean));
+        },
+
+        remove(record) {
+            // Takes back a game recorded by add(), e.g. when its last move is undone
+            const key = recordKey(record);
+            if (!this.hasIndexedDb()) {
+                localStorage.setItem(FALLBACK_KEY, JSON.stringify(readFallback().filter(r => recordKey(r) !== key)));
+                return Promise.resolve();
+            }
+            return withStore('readwrite', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (recordKey(cursor.value) === key) cursor.delete();
+                    cursor.continue();
+                };
+            });
+        },
+
+        getAll() {
+            if (!this.hasIndexedDb()) return Promise.resolve(readFallback());
+            return withStore('readonly', store => store.getAll())
+                .then(records => records.map(normalizeRecord));
+        },
+
+        clear() {
+            if (!this.hasIndexedDb()) {
+                localStorage.removeItem(FALLBACK_KEY);
+                return Promise.resolve();
+            }
+            return withStore('readwrite', store => store.clear());
+        },
+
+        exportJSON() {
+            return this.getAll().then(records => JSON.stringify({ version: 1, games: records }, null, 2));
+        },
+
+        importJSON(text) {
+            // Merges into the existing history; games already present are skipped.
+            // Resolves with the number of games added.
+            const data = JSON.parse(text);
+            const incoming = (Array.isArray(data) ? data : data.games || [])
+                .map(normalizeRecord)
+                .filter(Boolean);
+
+            return this.getAll().then(existing => {
+                const seen = new Set(existing.map(recordKey));
+                const fresh = incoming.filter(r => !seen.has(recordKey(r)));
+                return fresh.reduce((chain, r) => chain.then(() => this.add(r)), Promise.resolve())
+                    .then(() => fresh.length);
+            });
+        }
+    };
+
+    function summarize(records, buckets = 8) {
+        const count = records.length;
+        const avg = field => count === 0 ? 0 : records.reduce((sum, r) => sum + (r[field] || 0), 0) / count;
+        const top = records.slice().sort((a, b) => b.score - a.score).slice(0, 10);
+
+        // Equal-width score buckets from 0 up to the best score
+        const maxScore = top.length > 0 ? top[0].score : 0;
+        const width = Math.max(1, Math.ceil((maxScore + 1) / buckets));
+        const histogram = Array.from({ length: buckets }, (_, i) => ({ from: i * width, to: (i + 1) * width - 1, count: 0 }));
+        records.forEach(r => {
+            histogram[Math.min(buckets - 1, Math.floor(r.score / width))].count++;
+        });
+
+        return {
+            count,
+            avgScore: avg('score'),
+            avgLevel: avg('level'),
+            avgDuration: avg('duration'),
+            avgPieces: avg('piecesPlaced'),
+            avgLines: avg('linesCleared'),
+            bestClear: records.reduce((best, r) => Math.max(best, r.bestClear || 0), 0),
+            histogram,
+            top
+        };
+    }
+
+    exports.GameHistory = GameHistory;
+    exports.summarizeHistory = summarize;
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,79 @@
+/**
+ * Service worker
+ * Caches the game so it starts and plays without a network. Every file is served from
+ * the cache of the current VERSION; a deploy that bumps VERSION installs alongside the
+ * old one and waits until the player accepts the update prompt (see pwa.js), so a game
+ * never switches files halfway. Only this worker's own caches are ever deleted: saves,
+ * settings, profiles and high scores live in localStorage and survive every update.
+ *
+ * Service workers need http(s) (localhost counts), not file://. To try it offline:
+ *
+ *   python3 -m http.server 8000      (or: npx serve .)
+ *
+ * open http://localhost:8000, reload once so the worker controls the page, then stop the
+ * server (or tick "Offline" in the browser's dev tools) and reload again.
+ */
+
+// Bump on every deploy, or players keep the files they already have
+const VERSION = 3;
+const CACHE_PREFIX = 'block-blast-';
+const CACHE_NAME = `${CACHE_PREFIX}v${VERSION}`;
+
+// Everything index.html loads; keep in sync with its <link> and <script> tags
+const ASSETS = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'fonts/outfit-variable.woff2',
+    'config.js',
+    'random.js',
+    'piece-sets.js',
+    'puzzles.js',
+    'levels.js',
+    'difficulty.js',
+    'profiles.js',
+    'progress.js',
+    'settings.js',
+    'leaderboard.js',
+    'stats.js',
+    'share.js',
+    'engine.js',
+    'versus.js',
+    'audio.js',
+    'ai.js',
+    'renderers.js',
+    'pwa.js',
+    'board.js',
+    'script.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(ASSETS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    // The page's update prompt was accepted
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Other origins (e.g. a leaderboard server) and POSTs always go to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Pages keep their query (?seed=, ?board=) for the script, but all share index.html
+    const lookup = request.mode === 'navigate'
+        ? caches.match('index.html', { cacheName: CACHE_NAME })
+        : caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true });
+    event.respondWith(lookup.then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,76 @@
+/**
+ * AI tests (node --test)
+ * Move choice of the greedy and lookahead players, and the lookahead's search budget.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine } = require('../engine.js');
+const { AI_STRATEGIES, SEARCH_BUDGET, playAiMove } = require('../ai.js');
+
+const single = (color = 0) => ({ shape: [[1]], color });
+
+function newEngine() {
+    const engine = new GameEngine({ specials: false, now: () => 0 });
+    engine.newGame('ai-seed');
+    return engine;
+}
+
+function countSimulations(engine) {
+    // Wraps the engine's dry-run placement so a test can see how often the search used it
+    const counter = { count: 0 };
+    const simulate = engine.simulatePlacement.bind(engine);
+    engine.simulatePlacement = (...args) => {
+        counter.count++;
+        return simulate(...args);
+    };
+    return counter;
+}
+
+Object.keys(AI_STRATEGIES).forEach(strategy => {
+    test(`${strategy} drops a block where it completes a line`, () => {
+        const engine = newEngine();
+        for (let c = 0; c < engine.size - 1; c++) engine.grid[4][c] = 1;
+        engine.activePieces = [single(), null, null];
+
+        const move = playAiMove(engine, strategy);
+        assert.deepStrictEqual({ row: move.row, col: move.col }, { row: 4, col: engine.size - 1 });
+        assert.strictEqual(engine.stats.linesCleared, 1);
+        assert.ok(engine.grid[4].every(cell => cell === null));
+    });
+
+    test(`${strategy} plays a seeded game the same way every time`, () => {
+        const play = () => {
+            const engine = new GameEngine({ specials: true, now: () => 0, undoLimit: 0 });
+            engine.newGame('ai-repeat');
+            for (let i = 0; i < 30 && playAiMove(engine, strategy); i++) {
+                // Each call drops one piece
+            }
+            return engine.getReplay();
+        };
+        assert.deepStrictEqual(play(), play());
+    });
+});
+
+test('the lookahead never simulates more drops per move than its budget', () => {
+    [50, 300, SEARCH_BUDGET].forEach(budget => {
+        const engine = newEngine();
+        const counter = countSimulations(engine);
+        for (let i = 0; i < 20; i++) {
+            counter.count = 0;
+            if (!playAiMove(engine, 'lookahead', { budget })) break;
+            assert.ok(counter.count <= budget, `${counter.count} drops for a budget of ${budget}`);
+        }
+    });
+});
+
+test('a small budget still finds a move', () => {
+    const engine = newEngine();
+    assert.ok(playAiMove(engine, 'lookahead', { budget: 1 }));
+});
+
+test('the AI has nothing to play once the game is over', () => {
+    const engine = newEngine();
+    engine.endGame('noMoves');
+    Object.keys(AI_STRATEGIES).forEach(strategy => assert.strictEqual(playAiMove(engine, strategy), null));
+});
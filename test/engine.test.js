@@ -0,0 +1,256 @@
+/**
+ * Engine tests (node --test)
+ * Rules only, no DOM: placement, line clears, scoring, game over, saves and replays.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { GameEngine } = require('../engine.js');
+
+const single = (color = 0) => ({ shape: [[1]], color });
+const square = (color = 0) => ({ shape: [[1, 1], [1, 1]], color });
+
+function newEngine(options = {}) {
+    // Special blocks off, so dealt pieces are plain and scores easy to work out,
+    // and a stopped clock, so play time never differs between two runs
+    const engine = new GameEngine({ specials: false, now: () => 0, ...options });
+    engine.newGame('test-seed');
+    return engine;
+}
+
+function playFirstFits(engine, drops) {
+    // Drops tray pieces at the first spot they fit, as they sit, until the game ends
+    for (let i = 0; i < drops && !engine.isGameOver; i++) {
+        const index = engine.activePieces.findIndex(p => p !== null &&
+            engine.findPlacements(p).some(spot => spot.rotation === 0));
+        if (index < 0) break;
+        const spot = engine.findPlacements(engine.activePieces[index]).find(s => s.rotation === 0);
+        assert.ok(engine.placePiece(index, spot.col, spot.row));
+    }
+}
+
+test('placing a piece fills its cells, empties its slot and scores its blocks', () => {
+    const engine = newEngine();
+    engine.activePieces = [square(3), single(), single()];
+
+    assert.ok(engine.placePiece(0, 2, 1));
+    assert.deepStrictEqual([engine.grid[1][2], engine.grid[1][3], engine.grid[2][2], engine.grid[2][3]], [3, 3, 3, 3]);
+    assert.strictEqual(engine.activePieces[0], null);
+    assert.strictEqual(engine.score, 4 * CONFIG.POINTS_PER_BLOCK);
+    assert.strictEqual(engine.moves.length, 1);
+});
+
+test('pieces cannot overlap filled cells or hang off the board', () => {
+    const engine = newEngine();
+    engine.activePieces = [square(), square(), single()];
+    assert.ok(engine.placePiece(0, 0, 0));
+
+    assert.strictEqual(engine.placePiece(1, 1, 1), false);
+    assert.strictEqual(engine.placePiece(1, engine.size - 1, 0), false);
+    assert.strictEqual(engine.placePiece(1, 0, -1), false);
+    assert.strictEqual(engine.score, 4 * CONFIG.POINTS_PER_BLOCK);
+});
+
+test('the tray is refilled once its last piece is played', () => {
+    const engine = newEngine();
+    engine.activePieces = [single(), null, null];
+    assert.ok(engine.placePiece(0, 0, 0));
+    assert.ok(engine.activePieces.every(p => p !== null));
+});
+
+test('a full row and column clear together and score as two lines', () => {
+    const engine = newEngine();
+    const last = engine.size - 1;
+    for (let i = 0; i < last; i++) {
+        engine.grid[last][i] = 1;
+        engine.grid[i][last] = 1;
+    }
+    engine.grid[0][0] = 2; // Survives the clear, so it isn't a board clear
+    engine.activePieces = [single(), single(), single()];
+
+    const cleared = [];
+    engine.on('linesCleared', e => cleared.push(e));
+    assert.ok(engine.placePiece(0, last, last));
+
+    assert.strictEqual(cleared.length, 1);
+    assert.deepStrictEqual([cleared[0].rows, cleared[0].cols], [[last], [last]]);
+    assert.ok(engine.grid[last].every(cell => cell === null));
+    assert.ok(engine.grid.every(line => line[last] === null));
+    assert.strictEqual(engine.grid[0][0], 2);
+    assert.strictEqual(engine.stats.linesCleared, 2);
+    assert.strictEqual(engine.combo, 1);
+    assert.strictEqual(engine.score, CONFIG.POINTS_PER_BLOCK + GameEngine.scoreForLines(2));
+});
+
+test('line points scale with the number of lines, the combo and a board clear', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => GameEngine.scoreForLines(n)), [100, 300, 600, 1200, 1500]);
+    assert.strictEqual(GameEngine.scoreClear(1, 3, false).points, 300);
+    assert.strictEqual(GameEngine.scoreClear(2, 1, false, 100, 2).points, 600);
+    assert.strictEqual(GameEngine.scoreClear(1, 1, true).points, 100 + CONFIG.BOARD_CLEAR_BONUS);
+});
+
+test('the game is over only when no tray piece fits anywhere', () => {
+    const engine = newEngine();
+    engine.grid = engine.grid.map(line => line.map(() => 1));
+    engine.grid[4][4] = null;
+    engine.activePieces = [square(), single(), null];
+    assert.strictEqual(engine.checkGameOver(), false);
+
+    const over = [];
+    engine.on('gameOver', e => over.push(e));
+    engine.activePieces = [square(), null, null];
+    assert.strictEqual(engine.checkGameOver(), true);
+    assert.strictEqual(over[0].reason, 'noMoves');
+    assert.strictEqual(engine.placePiece(0, 4, 4), false);
+});
+
+test('a restored save plays on exactly like the game it was taken from', () => {
+    const engine = newEngine();
+    playFirstFits(engine, 10);
+    const save = engine.serialize();
+
+    const copy = new GameEngine({ specials: false, now: () => 0 });
+    assert.ok(copy.restore(save));
+    assert.deepStrictEqual(copy.serialize(), save);
+
+    playFirstFits(engine, 10);
+    playFirstFits(copy, 10);
+    assert.deepStrictEqual(copy.serialize(), engine.serialize());
+});
+
+test('saves from another version or board size are refused', () => {
+    const engine = newEngine();
+    const save = engine.serialize();
+    assert.strictEqual(newEngine().restore({ ...save, version: save.version + 1 }), false);
+    assert.strictEqual(newEngine({ gridSize: engine.size + 1 }).restore(save), false);
+    assert.strictEqual(newEngine().restore(null), false);
+});
+
+test('a replay re-simulates the game it was recorded from', () => {
+    const engine = newEngine({ specials: true });
+    playFirstFits(engine, 30);
+    engine.addGarbage([[0, 0]].filter(([r, c]) => engine.grid[r][c] === null));
+    playFirstFits(engine, 10);
+
+    const replayed = GameEngine.replay(engine.getReplay());
+    assert.strictEqual(replayed.score, engine.score);
+    assert.deepStrictEqual(replayed.grid, engine.grid);
+    assert.deepStrictEqual(replayed.activePieces, engine.activePieces);
+});
+
+test('replays from an unknown version are rejected', () => {
+    const log = newEngine().getReplay();
+    assert.throws(() => GameEngine.replay({ ...log, version: log.version + 1 }), /Unsupported replay version/);
+});
+
+test('a shared deal ignores the board, so the same seed deals the same pieces', () => {
+    const dealt = engine => {
+        const trays = [];
+        engine.on('trayChanged', ({ pieces }) => trays.push(JSON.stringify(pieces)));
+        return trays;
+    };
+    const a = newEngine({ sharedDeal: true });
+    const b = newEngine({ sharedDeal: true });
+    const traysA = dealt(a);
+    const traysB = dealt(b);
+
+    // Different boards: one player takes garbage, and both play the same pieces
+    // in a different order
+    b.addGarbage([[0, 0], [0, 1], [1, 0]]);
+    for (let tray = 0; tray < 5; tray++) {
+        playFirstFits(a, 3);
+        [2, 1, 0].forEach(index => {
+            const spot = b.activePieces[index] && b.findPlacements(b.activePieces[index]).find(s => s.rotation === 0);
+            if (spot) b.placePiece(index, spot.col, spot.row);
+        });
+    }
+    const n = Math.min(traysA.length, traysB.length);
+    assert.ok(n > 1);
+    assert.deepStrictEqual(traysA.slice(0, n), traysB.slice(0, n));
+});
+
+test('undo takes back a drop and redo plays it again', () => {
+    const engine = newEngine();
+    engine.activePieces = [square(), single(), single()];
+    const before = engine.serialize();
+    assert.ok(engine.placePiece(0, 0, 0));
+    const after = engine.serialize();
+
+    assert.ok(engine.undo());
+    assert.deepStrictEqual(engine.grid, before.grid);
+    assert.deepStrictEqual(engine.activePieces, before.activePieces);
+    assert.strictEqual(engine.score, 0);
+    assert.ok(engine.canRedo());
+
+    assert.ok(engine.redo());
+    assert.deepStrictEqual(engine.grid, after.grid);
+    assert.strictEqual(engine.score, after.score);
+    assert.strictEqual(engine.redo(), false);
+});
+
+test('a new drop after an undo drops the redo history', () => {
+    const engine = newEngine();
+    engine.activePieces = [single(), single(), single()];
+    engine.placePiece(0, 0, 0);
+    engine.undo();
+    engine.placePiece(1, 5, 5);
+    assert.strictEqual(engine.canRedo(), false);
+});
+
+test('undos are limited per game, redos are free and budgets survive an undo', () => {
+    const engine = newEngine({ undoLimit: 1, hintLimit: 3 });
+    engine.activePieces = [single(), single(), single()];
+    engine.placePiece(0, 0, 0);
+    assert.ok(engine.useHint());
+    assert.strictEqual(engine.hintsLeft(), 2);
+
+    assert.ok(engine.undo());
+    assert.strictEqual(engine.undosLeft(), 0);
+    assert.strictEqual(engine.hintsLeft(), 2); // Going back doesn't refund the hint
+    assert.ok(engine.redo());
+    assert.strictEqual(engine.canUndo(), false);
+    assert.strictEqual(engine.undo(), false);
+});
+
+test('spent undos and hints are kept across a save and restore', () => {
+    const engine = newEngine({ undoLimit: 3, hintLimit: 3 });
+    engine.activePieces = [single(), single(), single()];
+    engine.placePiece(0, 0, 0);
+    engine.undo();
+    engine.useHint();
+
+    const copy = new GameEngine({ specials: false, now: () => 0, undoLimit: 3, hintLimit: 3 });
+    assert.ok(copy.restore(engine.serialize()));
+    assert.strictEqual(copy.undosLeft(), 2);
+    assert.strictEqual(copy.hintsLeft(), 2);
+});
+
+test('the drop that ran the board out of moves can be undone', () => {
+    const engine = newEngine();
+    // A checkerboard: single cells fit, a 2x2 square never does
+    engine.grid = engine.grid.map((line, r) => line.map((_, c) => (r + c) % 2 === 0 ? null : 1));
+    engine.activePieces = [single(), square(), null];
+    assert.ok(engine.placePiece(0, 0, 0));
+    assert.strictEqual(engine.isGameOver, true);
+    assert.strictEqual(engine.endReason, 'noMoves');
+    assert.ok(engine.canUndo());
+
+    assert.ok(engine.undo());
+    assert.strictEqual(engine.isGameOver, false);
+    assert.strictEqual(engine.endReason, null);
+    assert.strictEqual(engine.grid[0][0], null);
+    assert.ok(engine.placePiece(0, 2, 0));
+});
+
+test('a won game is final', () => {
+    const puzzle = {
+        id: 'one-line', name: 'One line', goal: { type: 'lines', count: 1 },
+        grid: ['.1111111', ...Array(7).fill('........')], pieces: [[[1]], [[1]]]
+    };
+    const engine = newEngine({ mode: { type: 'puzzle', puzzle } });
+    assert.ok(engine.placePiece(0, 0, 0));
+    assert.strictEqual(engine.endReason, 'solved');
+    assert.strictEqual(engine.canUndo(), false);
+    assert.strictEqual(engine.undo(), false);
+});
@@ -0,0 +1,91 @@
+/**
+ * Leaderboard tests (node --test)
+ * HttpLeaderboard against a local leaderboard-server.js, started on a free port.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { HttpLeaderboard } = require('../leaderboard.js');
+const { createServer } = require('../leaderboard-server.js');
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+    server = createServer().listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function post(body) {
+    // A raw POST, for bodies HttpLeaderboard would have cleaned up itself
+    return fetch(`${baseUrl}/scores`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+test('submitted scores come back ranked best first, per mode', async () => {
+    const board = new HttpLeaderboard(`${baseUrl}/`);
+    const stored = await board.submit({ profileId: 'a', name: 'Ann', mode: 'endless', score: 900, playedAt: '2026-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual(stored, { profileId: 'a', name: 'Ann', mode: 'endless', score: 900, playedAt: '2026-01-01T00:00:00.000Z' });
+
+    await board.submit({ profileId: 'b', name: 'Bo', mode: 'endless', score: 1500 });
+    await board.submit({ profileId: 'a', name: 'Ann', mode: 'endless', score: 300 });
+    await board.submit({ profileId: 'a', name: 'Ann', mode: 'timed', score: 5000 });
+
+    const endless = await board.top('endless');
+    assert.deepStrictEqual(endless.map(e => e.score), [1500, 900, 300]);
+    assert.deepStrictEqual((await board.top('endless', { profileId: 'a' })).map(e => e.score), [900, 300]);
+    assert.deepStrictEqual((await board.top('endless', { limit: 1 })).map(e => e.name), ['Bo']);
+    assert.deepStrictEqual((await board.top('timed')).map(e => e.score), [5000]);
+});
+
+test('posts without a usable score or mode are rejected', async () => {
+    const bodies = [
+        'not json',
+        'null',
+        { mode: 'endless' },
+        { mode: 'endless', score: 'lots' },
+        { mode: 'endless', score: -5 },
+        { score: 100 },
+        { score: 100, mode: '' },
+        { score: 100, mode: 7 }
+    ];
+    for (const body of bodies) {
+        const response = await post(body);
+        assert.strictEqual(response.status, 400, JSON.stringify(body));
+    }
+    assert.deepStrictEqual(await new HttpLeaderboard(baseUrl).top('7'), []);
+});
+
+test('accepted posts are normalized before they are stored', async () => {
+    const response = await post({
+        score: 42,
+        mode: 'normalize-test',
+        name: 'x'.repeat(CONFIG.NAME_MAX_LENGTH + 10),
+        playedAt: 12345,
+        isAdmin: true
+    });
+    assert.strictEqual(response.status, 201);
+    const stored = await response.json();
+    assert.deepStrictEqual(Object.keys(stored).sort(), ['mode', 'name', 'playedAt', 'profileId', 'score']);
+    assert.strictEqual(stored.name.length, CONFIG.NAME_MAX_LENGTH);
+    assert.strictEqual(stored.profileId, '');
+    assert.strictEqual(typeof stored.playedAt, 'string');
+
+    // Ranking compares playedAt as a string, so a tie against it must not throw
+    await post({ score: 42, mode: 'normalize-test' });
+    const board = await new HttpLeaderboard(baseUrl).top('normalize-test');
+    assert.deepStrictEqual(board.map(e => e.score), [42, 42]);
+});
+
+test('a failed request rejects instead of resolving to nothing', async () => {
+    const board = new HttpLeaderboard(`${baseUrl}/missing`);
+    await assert.rejects(board.top('endless'), /Leaderboard request failed \(404\)/);
+});
@@ -0,0 +1,183 @@
+/**
+ * Mode tests (node --test)
+ * How timed, 30-piece, puzzle and level games run and end, and the title each ending gets.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { GameEngine } = require('../engine.js');
+const { PUZZLES } = require('../puzzles.js');
+const { rateLevel } = require('../progress.js');
+const { resultTitle } = require('../share.js');
+
+const single = (color = 0) => ({ shape: [[1]], color });
+
+function newEngine(mode) {
+    const engine = new GameEngine({ specials: false, now: () => 0, mode });
+    engine.newGame('mode-seed');
+    return engine;
+}
+
+function endings(engine) {
+    const results = [];
+    engine.on('gameOver', result => results.push(result));
+    return results;
+}
+
+function dropAnywhere(engine, index) {
+    // First spot the piece fits as it sits in the tray
+    const spot = engine.findPlacements(engine.activePieces[index]).find(s => s.rotation === 0);
+    assert.ok(spot, 'the piece should fit somewhere');
+    assert.ok(engine.placePiece(index, spot.col, spot.row));
+}
+
+function fillRowButLast(engine, row) {
+    for (let c = 0; c < engine.size - 1; c++) engine.grid[row][c] = 1;
+}
+
+test('timed games run down on ticks, win time back on clears and end when time is up', () => {
+    const mode = CONFIG.MODES.timed;
+    const engine = newEngine(mode);
+    const results = endings(engine);
+
+    engine.tick(1000);
+    assert.strictEqual(engine.modeState.timeLeft, mode.durationMs - 1000);
+
+    fillRowButLast(engine, 0);
+    engine.activePieces = [single(), single(), single()];
+    engine.placePiece(0, engine.size - 1, 0);
+    assert.strictEqual(engine.modeState.timeLeft, mode.durationMs - 1000 + mode.bonusMsPerLine);
+
+    engine.tick(mode.durationMs * 2);
+    assert.strictEqual(engine.modeState.timeLeft, 0);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].reason, 'timeUp');
+    assert.strictEqual(resultTitle(mode, results[0]), "TIME'S UP");
+
+    // The clock doesn't run in other modes
+    const endless = newEngine(CONFIG.MODES.endless);
+    endless.tick(mode.durationMs * 2);
+    assert.strictEqual(endless.isGameOver, false);
+});
+
+test('a pieces game deals exactly its pieces, then ends once they are played', () => {
+    const mode = { type: 'moves', name: '4 Pieces', pieces: 4 };
+    const engine = newEngine(mode);
+    const results = endings(engine);
+    assert.strictEqual(engine.modeState.piecesLeft, 1);
+
+    [0, 1, 2].forEach(i => dropAnywhere(engine, i));
+    assert.strictEqual(engine.activePieces.filter(p => p !== null).length, 1);
+    assert.strictEqual(engine.modeState.piecesLeft, 0);
+
+    dropAnywhere(engine, engine.activePieces.findIndex(p => p !== null));
+    assert.strictEqual(engine.stats.piecesPlaced, 4);
+    assert.strictEqual(results[0].reason, 'outOfPieces');
+    assert.strictEqual(results[0].won, false);
+    assert.strictEqual(resultTitle(mode, results[0]), 'OUT OF PIECES');
+});
+
+test('a pieces game with a piece on hold goes on until that one is played too', () => {
+    const engine = newEngine({ type: 'moves', name: '3 Pieces', pieces: 3 });
+    const results = endings(engine);
+    assert.ok(engine.holdPiece(0));
+    dropAnywhere(engine, 1);
+    dropAnywhere(engine, 2);
+    assert.strictEqual(results.length, 0);
+
+    assert.ok(engine.holdPiece(0)); // Back out of the hold slot
+    dropAnywhere(engine, 0);
+    assert.strictEqual(results[0].reason, 'outOfPieces');
+});
+
+test('a puzzle is solved by reaching its goal with the pieces it deals', () => {
+    const puzzle = PUZZLES.find(p => p.id === 'first-drop');
+    const mode = { type: 'puzzle', name: puzzle.name, puzzle };
+    const engine = newEngine(mode);
+    const results = endings(engine);
+    assert.deepStrictEqual(engine.activePieces, [{ shape: puzzle.pieces[0], color: 0 }, null, null]);
+
+    assert.ok(engine.placePiece(0, 6, 7));
+    assert.strictEqual(results[0].reason, 'solved');
+    assert.strictEqual(results[0].won, true);
+    assert.strictEqual(resultTitle(mode, results[0]), 'PUZZLE SOLVED!');
+});
+
+test('a puzzle fails when its pieces run out short of the goal', () => {
+    const puzzle = PUZZLES.find(p => p.id === 'first-drop');
+    const mode = { type: 'puzzle', name: puzzle.name, puzzle };
+    const engine = newEngine(mode);
+    const results = endings(engine);
+
+    assert.ok(engine.placePiece(0, 0, 0));
+    assert.strictEqual(results[0].reason, 'outOfPieces');
+    assert.strictEqual(results[0].won, false);
+    assert.strictEqual(resultTitle(mode, results[0]), 'PUZZLE FAILED');
+});
+
+test('a level is complete once its goal is reached', () => {
+    const level = {
+        id: 'test-lines', name: 'Test', goal: { type: 'lines', count: 1 }, stars: [10, 5],
+        grid: ['.1111111', ...Array(7).fill('........')]
+    };
+    const mode = { type: 'level', name: level.name, number: 1, level };
+    const engine = newEngine(mode);
+    const results = endings(engine);
+    engine.activePieces = [single(), single(), single()];
+
+    assert.ok(engine.placePiece(0, 0, 0));
+    assert.strictEqual(results[0].reason, 'solved');
+    assert.strictEqual(resultTitle(mode, results[0]), 'LEVEL COMPLETE!');
+    assert.strictEqual(rateLevel(level, engine.stats.piecesPlaced), 3);
+});
+
+test('a level with a piece limit is failed when the pieces run out', () => {
+    const level = { id: 'test-limit', name: 'Test', goal: { type: 'lines', count: 5 }, pieces: 1, stars: [10, 5] };
+    const mode = { type: 'level', name: level.name, number: 1, level };
+    const engine = newEngine(mode);
+    const results = endings(engine);
+    assert.strictEqual(engine.size, CONFIG.GRID_SIZE);
+
+    dropAnywhere(engine, 0);
+    assert.strictEqual(results[0].reason, 'outOfPieces');
+    assert.strictEqual(results[0].won, false);
+    assert.strictEqual(resultTitle(mode, results[0]), 'LEVEL FAILED');
+    assert.strictEqual(resultTitle(mode, { reason: 'noMoves', won: false }), 'LEVEL FAILED');
+});
+
+test('level goals count rows, columns, combos and score', () => {
+    const play = goal => {
+        const level = { id: 'goal', name: 'Goal', goal, stars: [10, 5] };
+        const engine = newEngine({ type: 'level', name: 'Goal', number: 1, level });
+        engine.activePieces = [single(), single(), single()];
+        return engine;
+    };
+
+    const rows = play({ type: 'rows', count: 1 });
+    for (let r = 1; r < rows.size; r++) rows.grid[r][0] = 1; // A column, not a row
+    rows.placePiece(0, 0, 0);
+    assert.strictEqual(rows.isGameOver, false);
+    assert.strictEqual(rows.modeState.columnsCleared, 1);
+
+    const columns = play({ type: 'columns', count: 1 });
+    for (let r = 1; r < columns.size; r++) columns.grid[r][0] = 1;
+    columns.placePiece(0, 0, 0);
+    assert.strictEqual(columns.endReason, 'solved');
+
+    const score = play({ type: 'score', target: 5 });
+    score.placePiece(0, 3, 3);
+    assert.strictEqual(score.endReason, 'solved');
+});
+
+test('stars reward finishing a level with fewer pieces', () => {
+    const level = { stars: [20, 12] };
+    assert.deepStrictEqual([12, 13, 20, 21].map(n => rateLevel(level, n)), [3, 2, 2, 1]);
+});
+
+test('running out of moves is game over in every mode but a level', () => {
+    const noMoves = { reason: 'noMoves', won: false };
+    assert.strictEqual(resultTitle(CONFIG.MODES.endless, noMoves), 'GAME OVER');
+    assert.strictEqual(resultTitle(CONFIG.MODES.timed, noMoves), 'GAME OVER');
+    assert.strictEqual(resultTitle(CONFIG.MODES.moves, noMoves), 'GAME OVER');
+});
@@ -0,0 +1,114 @@
+/**
+ * Sharing tests (node --test)
+ * Board snapshots survive a round trip, broken links are refused, and results read right.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { GameEngine } = require('../engine.js');
+const { encodeSnapshot, decodeSnapshot, shareText } = require('../share.js');
+
+function sampleSnapshot(size = 8) {
+    const grid = Array.from({ length: size }, (_, r) =>
+        Array.from({ length: size }, (_, c) => (r + c) % 3 === 0 ? null : (r * size + c) % 6));
+    return {
+        grid,
+        pieces: [
+            { shape: [[1, 1, 1], [0, 1, 0]], color: 3 },
+            null,
+            { shape: [[1], [1], [1], [1], [1]], color: 5 }
+        ],
+        score: 12345,
+        level: 7
+    };
+}
+
+test('a snapshot decodes to the board it was made from', () => {
+    [CONFIG.MIN_GRID_SIZE, 8, CONFIG.MAX_GRID_SIZE].forEach(size => {
+        const snapshot = sampleSnapshot(size);
+        const text = encodeSnapshot(snapshot);
+        assert.match(text, /^[A-Za-z0-9\-_.*]+$/);
+        assert.deepStrictEqual(decodeSnapshot(text), snapshot);
+    });
+});
+
+test('an empty board with a full tray round-trips too', () => {
+    const snapshot = {
+        grid: Array.from({ length: 8 }, () => Array(8).fill(null)),
+        pieces: [{ shape: [[1]], color: 0 }, { shape: [[1, 1], [1, 1]], color: 1 }, { shape: [[0, 1], [1, 1]], color: 2 }],
+        score: 0,
+        level: 1
+    };
+    assert.deepStrictEqual(decodeSnapshot(encodeSnapshot(snapshot)), snapshot);
+});
+
+test('broken or foreign links are refused', () => {
+    const text = encodeSnapshot(sampleSnapshot());
+    const parts = text.split('.');
+    const swap = (index, value) => parts.map((part, i) => i === index ? value : part).join('.');
+
+    [
+        '',
+        'not a board',
+        swap(0, '9'), // Another format version
+        swap(1, '2'), // A grid too small to play on
+        swap(2, parts[2].slice(0, 5)), // Cells missing
+        swap(2, '!' + parts[2].slice(1)), // Not in the alphabet
+        swap(4, '0'), // Level 0
+        swap(5, '11x'), // Unknown piece color
+        swap(5, '113A') // A piece with no blocks
+    ].forEach(bad => assert.throws(() => decodeSnapshot(bad), /Not a valid board snapshot/, bad));
+});
+
+test('a tray of more than three pieces is refused', () => {
+    const snapshot = sampleSnapshot();
+    snapshot.pieces = Array(CONFIG.TRAY_SIZE + 1).fill({ shape: [[1]], color: 0 });
+    assert.throws(() => decodeSnapshot(encodeSnapshot(snapshot)), /Not a valid board snapshot/);
+});
+
+test('a piece bigger than the grid is refused', () => {
+    const snapshot = sampleSnapshot(CONFIG.MIN_GRID_SIZE);
+    snapshot.pieces = [{ shape: Array(CONFIG.MIN_GRID_SIZE + 1).fill([1]), color: 0 }];
+    assert.throws(() => decodeSnapshot(encodeSnapshot(snapshot)), /Not a valid board snapshot/);
+});
+
+test('the share text carries the score, level, board and link', () => {
+    const snapshot = sampleSnapshot();
+    const lines = shareText(snapshot, 'https://example.test/?board=abc').split('\n');
+    assert.strictEqual(lines[0], 'Block Blast · 12345 points · level 7');
+    assert.strictEqual(lines.length, 1 + 8 + 1);
+    assert.strictEqual([...lines[1]].length, 8);
+    assert.strictEqual(lines[lines.length - 1], 'https://example.test/?board=abc');
+    assert.strictEqual(shareText(snapshot).split('\n').length, 1 + 8);
+});
+
+test('a decoded snapshot starts a game from that position', () => {
+    const snapshot = sampleSnapshot();
+    const engine = new GameEngine({ specials: false, now: () => 0 });
+    assert.ok(engine.startFrom(decodeSnapshot(encodeSnapshot(snapshot)), 'shared'));
+    assert.strictEqual(engine.score, 12345);
+    assert.strictEqual(engine.level, 7);
+    assert.deepStrictEqual(engine.grid.map(line => line.map(cell => GameEngine.cellColor(cell))), snapshot.grid);
+    assert.deepStrictEqual(engine.activePieces.map(p => p && p.shape), snapshot.pieces.map(p => p && p.shape));
+});
+
+test('a position the board cannot hold changes nothing', () => {
+    const engine = new GameEngine({ specials: false, now: () => 0 });
+    engine.newGame('before');
+    const before = JSON.stringify(engine.serialize());
+
+    const tooSmall = sampleSnapshot(CONFIG.MIN_GRID_SIZE);
+    const tooMany = sampleSnapshot();
+    tooMany.pieces = Array(CONFIG.TRAY_SIZE + 1).fill({ shape: [[1]], color: 0 });
+    const tooBig = sampleSnapshot();
+    tooBig.pieces = [{ shape: Array(9).fill([1]), color: 0 }];
+    const badScore = { ...sampleSnapshot(), score: -1 };
+    const badCell = sampleSnapshot();
+    badCell.grid[0][1] = 'red';
+
+    [tooSmall, tooMany, tooBig, badScore, badCell, null].forEach(position => {
+        assert.strictEqual(engine.startFrom(position, 'shared'), false);
+    });
+    assert.strictEqual(JSON.stringify(engine.serialize()), before);
+});
@@ -0,0 +1,102 @@
+/**
+ * Special block tests (node --test)
+ * Bombs, stones and multiplier tiles caught in a line clear.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { GameEngine } = require('../engine.js');
+
+function newEngine() {
+    const engine = new GameEngine({ specials: true, now: () => 0 });
+    engine.newGame('special-seed');
+    engine.activePieces = [{ shape: [[1]], color: 0 }, { shape: [[1]], color: 0 }, { shape: [[1]], color: 0 }];
+    return engine;
+}
+
+function clearRow(engine, row, specials = {}) {
+    // Fills the row but for its last cell, with special cells at the given columns,
+    // then drops a single block there. Returns the linesCleared event.
+    for (let c = 0; c < engine.size - 1; c++) engine.grid[row][c] = specials[c] || 1;
+    let cleared = null;
+    const listener = e => { cleared = e; };
+    engine.on('linesCleared', listener);
+    assert.ok(engine.placePiece(engine.activePieces.findIndex(p => p !== null), engine.size - 1, row));
+    engine.off('linesCleared', listener);
+    return cleared;
+}
+
+test('a bomb in a cleared line blasts the 3x3 around it', () => {
+    const engine = newEngine();
+    engine.grid[2][1] = 3;
+    engine.grid[4][3] = 3;
+    engine.grid[1][2] = 3; // Two rows up: out of reach
+    engine.grid[2][5] = 3; // Beside the blast
+
+    const cleared = clearRow(engine, 3, { 2: { color: 0, kind: 'bomb' } });
+    assert.deepStrictEqual(cleared.bombs, [[3, 2]]);
+    assert.strictEqual(engine.grid[2][1], null);
+    assert.strictEqual(engine.grid[4][3], null);
+    assert.strictEqual(engine.grid[1][2], 3);
+    assert.strictEqual(engine.grid[2][5], 3);
+    // Blasted cells add no line points of their own
+    assert.strictEqual(cleared.basePoints, GameEngine.scoreForLines(1));
+});
+
+test('bombs set off other bombs in their blast', () => {
+    const engine = newEngine();
+    engine.grid[2][3] = { color: 1, kind: 'bomb' };
+    engine.grid[1][4] = 3; // Only the second bomb reaches this one
+
+    const cleared = clearRow(engine, 3, { 2: { color: 0, kind: 'bomb' } });
+    assert.deepStrictEqual(cleared.bombs, [[3, 2], [2, 3]]);
+    assert.strictEqual(engine.grid[1][4], null);
+});
+
+test('a stone cracks on its first clear and breaks on the last', () => {
+    const engine = newEngine();
+    const stone = { color: 2, kind: 'stone', hits: CONFIG.STONE_HITS };
+
+    const first = clearRow(engine, 0, { 3: stone });
+    assert.deepStrictEqual(first.cracked, [[0, 3]]);
+    assert.deepStrictEqual(engine.grid[0][3], { ...stone, hits: CONFIG.STONE_HITS - 1 });
+    assert.ok(engine.grid[0].filter((_, c) => c !== 3).every(cell => cell === null));
+
+    // Refill the row around it; the next clear breaks it
+    const last = clearRow(engine, 0, { 3: engine.grid[0][3] });
+    assert.deepStrictEqual(last.cracked, []);
+    assert.strictEqual(engine.grid[0][3], null);
+});
+
+test('each multiplier tile in a cleared line doubles its line points', () => {
+    const engine = newEngine();
+    const tile = { color: 4, kind: 'multiplier' };
+    engine.grid[0][0] = 1; // So the clear doesn't empty the board and earn its bonus
+    const cleared = clearRow(engine, 5, { 0: tile, 4: tile });
+    assert.strictEqual(cleared.multiplier, 4);
+    assert.strictEqual(cleared.basePoints, GameEngine.scoreForLines(1) * 4);
+    assert.strictEqual(engine.score, CONFIG.POINTS_PER_BLOCK + GameEngine.scoreForLines(1) * 4);
+});
+
+test('a multiplier blown up by a bomb outside the line does not count', () => {
+    const engine = newEngine();
+    engine.grid[4][2] = { color: 4, kind: 'multiplier' };
+    const cleared = clearRow(engine, 5, { 2: { color: 0, kind: 'bomb' } });
+    assert.strictEqual(engine.grid[4][2], null);
+    assert.strictEqual(cleared.multiplier, 1);
+});
+
+test('a special block keeps its kind on the board and dealt pieces carry at most one', () => {
+    assert.deepStrictEqual(GameEngine.makeCell(2, 'stone'), { color: 2, kind: 'stone', hits: CONFIG.STONE_HITS });
+    assert.deepStrictEqual(GameEngine.makeCell(2, 'bomb'), { color: 2, kind: 'bomb' });
+    assert.strictEqual(GameEngine.makeCell(2, 1), 2);
+
+    const engine = new GameEngine({ specials: true });
+    engine.newGame('specials-deal');
+    engine.updateLevel(30); // Rates rise with the level
+    for (let i = 0; i < 200; i++) {
+        const piece = engine.generateRandomPiece();
+        assert.ok(piece.shape.flat().filter(v => typeof v === 'string').length <= 1);
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Game history tests (node --test)
+ * The dashboard summary, and the history store through its localStorage fallback
+ * (Node has no IndexedDB).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameHistory, summarizeHistory } = require('../stats.js');
+
+function game(score, extra = {}) {
+    return { playedAt: 1000 + score, score, level: 1 + Math.floor(score / 100), duration: 60, piecesPlaced: 10, linesCleared: 2, bestClear: 1, seed: `s${score}`, mode: 'classic', ...extra };
+}
+
+function withLocalStorage(fn) {
+    // A minimal in-memory localStorage for the fallback store
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    return Promise.resolve(fn()).finally(() => {
+        delete global.localStorage;
+    });
+}
+
+test('an empty history summarizes to zeros', () => {
+    const summary = summarizeHistory([]);
+    assert.strictEqual(summary.count, 0);
+    assert.strictEqual(summary.avgScore, 0);
+    assert.strictEqual(summary.bestClear, 0);
+    assert.deepStrictEqual(summary.top, []);
+    assert.strictEqual(summary.histogram.length, 8);
+    assert.ok(summary.histogram.every(bucket => bucket.count === 0));
+});
+
+test('the summary averages games and ranks the best ten', () => {
+    const records = [120, 40, 300, 80, 0, 260, 10, 90, 150, 220, 30, 70].map(score => game(score));
+    records[2].bestClear = 4;
+    records[5].linesCleared = 14;
+    const summary = summarizeHistory(records);
+
+    assert.strictEqual(summary.count, 12);
+    assert.strictEqual(summary.avgScore, 1370 / 12);
+    assert.strictEqual(summary.avgLines, (11 * 2 + 14) / 12);
+    assert.strictEqual(summary.avgDuration, 60);
+    assert.strictEqual(summary.bestClear, 4);
+    assert.deepStrictEqual(summary.top.map(r => r.score), [300, 260, 220, 150, 120, 90, 80, 70, 40, 30]);
+});
+
+test('every game lands in exactly one histogram bucket', () => {
+    const records = [0, 5, 37, 38, 150, 299, 300].map(score => game(score));
+    const { histogram } = summarizeHistory(records, 4);
+
+    assert.strictEqual(histogram.length, 4);
+    assert.strictEqual(histogram[0].from, 0);
+    assert.ok(histogram[3].to >= 300);
+    histogram.slice(1).forEach((bucket, i) => assert.strictEqual(bucket.from, histogram[i].to + 1));
+    assert.strictEqual(histogram.reduce((sum, bucket) => sum + bucket.count, 0), records.length);
+    assert.deepStrictEqual(histogram.map(bucket => bucket.count), [4, 1, 0, 2]);
+});
+
+test('the fallback store adds, removes and clears games', () => withLocalStorage(async () => {
+    assert.strictEqual(GameHistory.hasIndexedDb(), false);
+    await GameHistory.add(game(100));
+    await GameHistory.add(game(200, { secret: 'dropped' }));
+    await GameHistory.add({ score: 'not a game' });
+
+    let games = await GameHistory.getAll();
+    assert.deepStrictEqual(games.map(r => r.score), [100, 200]);
+    assert.ok(!('secret' in games[1]));
+
+    await GameHistory.remove(game(100));
+    games = await GameHistory.getAll();
+    assert.deepStrictEqual(games.map(r => r.score), [200]);
+
+    await GameHistory.clear();
+    assert.deepStrictEqual(await GameHistory.getAll(), []);
+}));
+
+test('importing an export skips games already in the history', () => withLocalStorage(async () => {
+    await GameHistory.add(game(100));
+    await GameHistory.add(game(200));
+    const exported = await GameHistory.exportJSON();
+
+    assert.strictEqual(await GameHistory.importJSON(exported), 0);
+    await GameHistory.clear();
+    await GameHistory.add(game(200));
+    assert.strictEqual(await GameHistory.importJSON(exported), 1);
+    // A bare array of games is accepted as well
+    assert.strictEqual(await GameHistory.importJSON(JSON.stringify([game(300), game(400)])), 2);
+
+    const games = await GameHistory.getAll();
+    assert.deepStrictEqual(games.map(r => r.score).sort((a, b) => a - b), [100, 200, 300, 400]);
+}));
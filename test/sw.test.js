@@ -0,0 +1,118 @@
+/**
+ * Service worker tests (node --test)
+ * Runs sw.js in a sandbox with stand-ins for the worker globals (self, caches, fetch),
+ * serving the repo's own files, then takes the network away and starts the game again.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost:8000';
+
+function createWorker() {
+    const listeners = {};
+    // missing: paths the server answers with a 404
+    const network = { online: true, requests: [], missing: [] };
+    const stores = new Map(); // cache name -> Map of url -> body
+
+    const urlOf = request => new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`);
+
+    function fetch(request) {
+        const url = urlOf(request);
+        network.requests.push(url.pathname);
+        if (!network.online) return Promise.reject(new TypeError('Failed to fetch'));
+        const file = path.join(ROOT, url.pathname === '/' ? 'index.html' : url.pathname);
+        if (network.missing.includes(url.pathname) || !fs.existsSync(file)) return Promise.resolve(new Response('', { status: 404 }));
+        return Promise.resolve(new Response(fs.readFileSync(file)));
+    }
+
+    function open(name) {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        const add = request => fetch(request).then(response => {
+            // Like the real addAll: one missing file fails the whole install
+            if (!response.ok) throw new TypeError(`Request failed: ${urlOf(request).pathname}`);
+            return response.arrayBuffer().then(body => { store.set(urlOf(request).pathname, body); });
+        });
+        return Promise.resolve({
+            add,
+            addAll: requests => Promise.all(requests.map(add))
+        });
+    }
+
+    const caches = {
+        open,
+        keys: () => Promise.resolve([...stores.keys()]),
+        delete: name => Promise.resolve(stores.delete(name)),
+        match(request, { cacheName, ignoreSearch } = {}) {
+            const url = urlOf(request);
+            const key = ignoreSearch || !url.search ? url.pathname : null;
+            const store = stores.get(cacheName);
+            const body = store && key && store.get(key);
+            return Promise.resolve(body ? new Response(body) : undefined);
+        }
+    };
+
+    const self = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        clients: { claim: () => Promise.resolve() },
+        skipWaiting() {},
+        addEventListener: (type, fn) => { listeners[type] = fn; }
+    };
+
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), { self, caches, fetch, URL, console });
+
+    function dispatch(type, props) {
+        // Resolves with what the handler passed to waitUntil / respondWith, if anything
+        let pending;
+        listeners[type]({ ...props, waitUntil: p => { pending = p; }, respondWith: p => { pending = p; } });
+        return Promise.resolve(pending);
+    }
+
+    return { dispatch, network, stores };
+}
+
+test('an installed worker starts the game with no network', async () => {
+    const worker = createWorker();
+    await worker.dispatch('install');
+    await worker.dispatch('activate');
+    worker.network.online = false;
+    worker.network.requests = [];
+
+    // A reload, with a seed in the query, is served index.html
+    const page = await worker.dispatch('fetch', { request: { method: 'GET', mode: 'navigate', url: `${ORIGIN}/?seed=abc` } });
+    assert.ok(page && page.ok);
+    assert.match(await page.text(), /<script src="script.js"><\/script>/);
+
+    // and so is everything the page loads, the font included
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const assets = [...html.matchAll(/(?:src|href)="([^"#:]+)"/g)].map(m => m[1]);
+    assert.ok(assets.includes('fonts/outfit-variable.woff2'));
+    for (const asset of assets) {
+        const response = await worker.dispatch('fetch', { request: { method: 'GET', mode: 'no-cors', url: `${ORIGIN}/${asset}` } });
+        assert.ok(response && response.ok, asset);
+    }
+    assert.deepStrictEqual(worker.network.requests, []);
+});
+
+test('a missing asset fails the install rather than caching a partial game', async () => {
+    const worker = createWorker();
+    worker.network.missing.push('/fonts/outfit-variable.woff2');
+    await assert.rejects(worker.dispatch('install'), /outfit-variable\.woff2/);
+});
+
+test('activating removes caches of older versions only', async () => {
+    const worker = createWorker();
+    worker.stores.set('block-blast-v1', new Map());
+    worker.stores.set('other-app', new Map());
+    await worker.dispatch('install');
+    await worker.dispatch('activate');
+    const names = [...worker.stores.keys()];
+    assert.ok(!names.includes('block-blast-v1'));
+    assert.ok(names.includes('other-app'));
+    assert.strictEqual(names.filter(name => name.startsWith('block-blast-')).length, 1);
+});
@@ -0,0 +1,100 @@
+/**
+ * Versus tests (node --test)
+ * Hot-seat turns and scoring, and split-screen garbage and results.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../config.js');
+const { GameEngine } = require('../engine.js');
+const { VersusMatch } = require('../versus.js');
+
+const single = () => ({ shape: [[1]], color: 0 });
+
+function newEngine(options = {}) {
+    const engine = new GameEngine({ specials: false, now: () => 0, ...options });
+    engine.newGame('versus-seed');
+    engine.activePieces = [single(), single(), single()];
+    return engine;
+}
+
+test('hot-seat players take turns and each drop scores for whoever made it', () => {
+    const engine = newEngine();
+    const match = new VersusMatch('hotseat', [engine]);
+    const turns = [];
+    match.on('turnChanged', ({ turn }) => turns.push(turn));
+
+    engine.placePiece(0, 3, 3);
+    assert.deepStrictEqual(match.scores, [CONFIG.POINTS_PER_BLOCK, 0]);
+
+    // Player 2 completes a row: the line points are theirs too
+    for (let c = 0; c < engine.size - 1; c++) engine.grid[0][c] = 1;
+    engine.placePiece(1, engine.size - 1, 0);
+    assert.deepStrictEqual(match.scores, [CONFIG.POINTS_PER_BLOCK, CONFIG.POINTS_PER_BLOCK + GameEngine.scoreForLines(1)]);
+    assert.deepStrictEqual(turns, [1, 0]);
+});
+
+test('a hot-seat match goes to the higher score when the board runs out of moves', () => {
+    const engine = newEngine();
+    const match = new VersusMatch('hotseat', [engine]);
+    let result = null;
+    match.on('matchOver', e => { result = e; });
+
+    match.scores = [10, 30];
+    engine.endGame('noMoves');
+    assert.deepStrictEqual(result, { winner: 1, scores: [10, 30] });
+    assert.ok(match.isOver());
+});
+
+test('a split-screen clear of two or more lines sends garbage to the other board', () => {
+    const a = newEngine({ sharedDeal: true });
+    const b = newEngine({ sharedDeal: true });
+    const match = new VersusMatch('split', [a, b]);
+    const sent = [];
+    match.on('garbageSent', e => sent.push(e));
+
+    // A single line sends nothing
+    for (let c = 0; c < a.size - 1; c++) a.grid[0][c] = 1;
+    a.placePiece(0, a.size - 1, 0);
+    assert.strictEqual(sent.length, 0);
+
+    // A row and a column at once send GARBAGE_PER_LINE cells
+    const last = a.size - 1;
+    for (let i = 0; i < last; i++) {
+        a.grid[last][i] = 1;
+        a.grid[i][last] = 1;
+    }
+    a.placePiece(1, last, last);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].from, 0);
+    assert.strictEqual(sent[0].to, 1);
+    assert.strictEqual(sent[0].cells.length, CONFIG.GARBAGE_PER_LINE);
+    sent[0].cells.forEach(([r, c]) => assert.deepStrictEqual(b.grid[r][c], { color: 0, kind: 'garbage' }));
+
+    // Logged on the receiving board, so its replay still re-simulates
+    assert.deepStrictEqual(b.moves, [{ type: 'garbage', cells: sent[0].cells }]);
+    assert.deepStrictEqual(GameEngine.replay(b.getReplay()).grid, b.grid);
+});
+
+test('the first split-screen player out of moves loses and the other board stops', () => {
+    const a = newEngine();
+    const b = newEngine();
+    const match = new VersusMatch('split', [a, b]);
+    let result = null;
+    match.on('matchOver', e => { result = e; });
+
+    b.endGame('noMoves');
+    assert.strictEqual(result.winner, 0);
+    assert.strictEqual(a.isGameOver, true);
+    assert.strictEqual(a.endReason, 'opponentOut');
+});
+
+test('a stopped match no longer reacts to its engines', () => {
+    const a = newEngine();
+    const b = newEngine();
+    const match = new VersusMatch('split', [a, b]);
+    match.stop();
+    b.endGame('noMoves');
+    assert.strictEqual(match.isOver(), false);
+    assert.strictEqual(a.isGameOver, false);
+});
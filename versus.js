@@ -0,0 +1,126 @@
+/**
+ * Local versus
+ * Two players on one device, refereed on top of GameEngine events (see CONFIG.VERSUS):
+ *
+ *   hotseat  one shared board; players take turns placing a piece, and each drop's
+ *            points (the piece plus any lines it clears) go to whoever made it.
+ *            When the board runs out of moves the higher score wins.
+ *   split    a board each, both dealt the same pieces in the same order: the engines
+ *            share a seed and a sharedDeal, which never adapts to the board or the score.
+ *            Clearing two or more lines in one drop dumps garbage on the other board,
+ *            and the first player out of moves loses.
+ *
+ * Events (match.on(name, fn)):
+ *   turnChanged   { turn }                  hotseat: index of the player to move
+ *   scoresChanged { scores }
+ *   garbageSent   { from, to, cells }
+ *   matchOver     { winner, scores }        winner is a player index, or null for a draw
+ */
+
+(function (exports) {
+    const { CONFIG } = typeof module !== 'undefined' ? require('./config.js') : window;
+    const { SeededRandom } = typeof module !== 'undefined' ? require('./random.js') : window;
+
+    class VersusMatch {
+        constructor(type, engines) {
+            // engines: the shared engine for hotseat, one per player for split,
+            // each with a game already dealt
+            this.type = type;
+            this.engines = engines;
+            // Garbage has its own generator, so sending it never changes what gets dealt
+            this.rng = new SeededRandom(`${engines[0].seed}:garbage`);
+            this.scores = [0, 0];
+            this.turn = 0;
+            this.mover = 0; // Who made the drop being scored
+            this.winner = undefined; // Set once the match is over
+            this.listeners = {};
+            this.bindings = []; // Engine listeners, so stop() can detach them
+
+            if (type === 'hotseat') {
+                const engine = engines[0];
+                this.watch(engine, 'piecePlaced', ({ points }) => {
+                    // Line points arrive after the drop's own, but belong to the same player
+                    this.mover = this.turn;
+                    this.addPoints(this.mover, points);
+                    this.turn = 1 - this.turn;
+                    this.emit('turnChanged', { turn: this.turn });
+                });
+                this.watch(engine, 'linesCleared', ({ points }) => this.addPoints(this.mover, points));
+                this.watch(engine, 'gameOver', () => {
+                    const [a, b] = this.scores;
+                    this.finish(a === b ? null : (a > b ? 0 : 1));
+                });
+            } else {
+                engines.forEach((engine, player) => {
+                    this.watch(engine, 'scoreChanged', ({ score }) => {
+                        this.scores[player] = score;
+                        this.emit('scoresChanged', { scores: [...this.scores] });
+                    });
+                    this.watch(engine, 'linesCleared', ({ lineCount }) => {
+                        if (lineCount >= 2) this.sendGarbage(player, 1 - player, (lineCount - 1) * CONFIG.GARBAGE_PER_LINE);
+                    });
+                    this.watch(engine, 'gameOver', () => this.finish(1 - player));
+                });
+                this.scores = engines.map(engine => engine.score);
+            }
+        }
+
+        on(event, fn) {
+            if (!this.listeners[event]) this.listeners[event] = [];
+            this.listeners[event].push(fn);
+            return this;
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).forEach(fn => fn(data));
+        }
+
+        watch(engine, event, fn) {
+            engine.on(event, fn);
+            this.bindings.push([engine, event, fn]);
+        }
+
+        stop() {
+            // Detach from the engines, e.g. before they are reused for another game
+            this.bindings.forEach(([engine, event, fn]) => engine.off(event, fn));
+            this.bindings = [];
+        }
+
+        isOver() {
+            return this.winner !== undefined;
+        }
+
+        addPoints(player, points) {
+            this.scores[player] += points;
+            this.emit('scoresChanged', { scores: [...this.scores] });
+        }
+
+        sendGarbage(from, to, count) {
+            // Random empty cells on the receiving board; a nearly full board gets what fits
+            const target = this.engines[to];
+            if (this.isOver() || target.isGameOver) return;
+
+            const empty = [];
+            target.grid.forEach((line, r) => line.forEach((cell, c) => {
+                if (cell === null) empty.push([r, c]);
+            }));
+            const cells = this.rng.shuffle(empty).slice(0, count);
+            if (cells.length === 0) return;
+
+            this.emit('garbageSent', { from, to, cells });
+            target.addGarbage(cells);
+        }
+
+        finish(winner) {
+            if (this.isOver()) return;
+            this.winner = winner;
+            // In split-screen the other board stops too
+            this.engines.forEach(engine => {
+                if (!engine.isGameOver) engine.endGame('opponentOut');
+            });
+            this.emit('matchOver', { winner, scores: [...this.scores] });
+        }
+    }
+
+    exports.VersusMatch = VersusMatch;
+})(typeof module !== 'undefined' ? module.exports : window);